@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * @typedef {import('./index.js').Result} Result
+ * @typedef {import('./index.js').Severity} Severity
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import process from 'node:process'
+import {pathToFileURL} from 'node:url'
+import {parseArgs} from 'node:util'
+import {reporter} from 'vfile-reporter'
+import {ruleIds} from './lib/rules.js'
+import {packageExports, packageExportsFromTarball} from './index.js'
+
+const help = `Usage: package-exports [options] [folder...]
+
+Get the exports of packages and lint them;
+folders can also be tarballs (\`.tgz\`), such as made by \`npm pack\`
+
+Options:
+
+  --condition <name>     allow a custom condition that looks like a typo
+  --frail                exit with 1 on warnings
+  --help                 output usage information
+  --json                 output exports as JSON
+  --quiet                output only warnings and errors
+  --resolve              resolve every export in Node (doesn’t run code in the package)
+  --rule <id>=<severity> set the severity of a rule (\`off\`, \`info\`, \`warn\`, \`error\`)
+  --verify               load every export in Node (runs code in the package)
+  --version              output version number
+
+Examples:
+
+  # Check the package in the current folder
+  $ package-exports
+
+  # Check several packages and fail on warnings
+  $ package-exports --frail packages/a packages/b
+
+  # Turn a rule off and fail on another
+  $ package-exports --rule files-missing=off --rule type-missing=error
+
+  # Check that every export loads
+  $ package-exports --verify
+
+  # Allow a custom condition
+  $ package-exports --condition nodes
+
+  # Check what \`npm pack\` made
+  $ package-exports package-exports-1.0.0.tgz`
+
+try {
+  await main()
+} catch (error) {
+  const exception = /** @type {Error} */ (error)
+  process.exitCode = 1
+  console.error(String(exception))
+}
+
+/**
+ * Run the CLI.
+ *
+ * @returns {Promise<undefined>}
+ */
+async function main() {
+  const {positionals, values} = parseArgs({
+    allowPositionals: true,
+    options: {
+      condition: {multiple: true, type: 'string'},
+      frail: {type: 'boolean'},
+      help: {type: 'boolean'},
+      json: {type: 'boolean'},
+      quiet: {type: 'boolean'},
+      resolve: {type: 'boolean'},
+      rule: {multiple: true, type: 'string'},
+      verify: {type: 'boolean'},
+      version: {type: 'boolean'}
+    }
+  })
+
+  if (values.help) {
+    console.log(help)
+    return
+  }
+
+  if (values.version) {
+    const packageValue = await fs.readFile(
+      new URL('package.json', import.meta.url),
+      'utf8'
+    )
+    const packageData = /** @type {{version: string}} */ (
+      JSON.parse(packageValue)
+    )
+    console.log(packageData.version)
+    return
+  }
+
+  /** @type {Record<string, Severity>} */
+  const rules = {}
+
+  for (const setting of values.rule || []) {
+    const [id, value] = setting.split('=')
+
+    if (
+      value !== 'error' &&
+      value !== 'info' &&
+      value !== 'off' &&
+      value !== 'warn'
+    ) {
+      throw new Error(
+        'Unexpected rule setting `' +
+          setting +
+          '`, expected `<id>=off`, `<id>=info`, `<id>=warn`, or `<id>=error`'
+      )
+    }
+
+    if (!ruleIds.includes(id)) {
+      throw new Error(
+        'Unexpected unknown rule `' +
+          id +
+          '` in rule setting `' +
+          setting +
+          '`, expected a rule ID such as `type-missing`'
+      )
+    }
+
+    rules[id] = value
+  }
+
+  /** @type {Array<Result>} */
+  const results = []
+
+  for (const folder of positionals.length > 0 ? positionals : ['.']) {
+    const flag = values.verify ? 'verify' : values.resolve ? 'resolve' : ''
+
+    if (flag && folder.endsWith('.tgz')) {
+      throw new Error(
+        'Unexpected `--' +
+          flag +
+          '` with tarball `' +
+          folder +
+          '`, expected a folder, as Node can’t read files in tarballs'
+      )
+    }
+
+    results.push(
+      folder.endsWith('.tgz')
+        ? await packageExportsFromTarball(pathToFileURL(path.resolve(folder)), {
+            customConditions: values.condition,
+            rules
+          })
+        : await packageExports(pathToFileURL(path.resolve(folder) + path.sep), {
+            customConditions: values.condition,
+            resolve: values.resolve,
+            rules,
+            verify: values.verify
+          })
+    )
+  }
+
+  if (values.json) {
+    console.log(
+      JSON.stringify(
+        results.map(function (d) {
+          return {exports: d.exports, name: d.name}
+        }),
+        undefined,
+        2
+      )
+    )
+  }
+
+  const report = reporter(
+    results.map(function (d) {
+      return d.file
+    }),
+    {quiet: values.quiet}
+  )
+
+  if (report) console.error(report)
+
+  if (
+    results.some(function (d) {
+      return d.file.messages.some(function (message) {
+        // Info messages have `fatal: undefined`.
+        return (
+          message.fatal === true || (values.frail && message.fatal === false)
+        )
+      })
+    })
+  ) {
+    process.exitCode = 1
+  }
+}
@@ -1,6 +1,24 @@
 /**
+ * @typedef {import('./lib/compare.js').Change} Change
+ * @typedef {import('./lib/compare.js').ChangeKind} ChangeKind
+ * @typedef {import('./lib/compare.js').Comparison} Comparison
+ * @typedef {import('./lib/conditions.js').ConditionInfo} ConditionInfo
  * @typedef {import('./lib/index.js').Export} Export
+ * @typedef {import('./lib/index.js').FileSystem} FileSystem
+ * @typedef {import('./lib/matrix.js').MatrixRow} MatrixRow
+ * @typedef {import('./lib/index.js').Message} Message
+ * @typedef {import('./lib/index.js').NegatedExport} NegatedExport
+ * @typedef {import('./lib/index.js').Options} Options
+ * @typedef {import('./lib/compare.js').ReleaseType} ReleaseType
  * @typedef {import('./lib/index.js').Result} Result
+ * @typedef {import('./lib/index.js').Severity} Severity
+ * @typedef {import('./lib/resolve.js').Resolution} Resolution
  */
 
+export {compareExports} from './lib/compare.js'
+export {conditions} from './lib/conditions.js'
+export {applyFixes} from './lib/fix.js'
 export {packageExports} from './lib/index.js'
+export {exportsMatrix} from './lib/matrix.js'
+export {resolveExport} from './lib/resolve.js'
+export {packageExportsFromTarball} from './lib/tarball.js'
@@ -0,0 +1,309 @@
+/**
+ * @typedef {import('./index.js').ModuleFormat} ModuleFormat
+ * @typedef {import('./index.js').Result} Result
+ * @typedef {import('./resolve.js').Resolution} Resolution
+ */
+
+/**
+ * @typedef Change
+ *   Change to the exports of a package.
+ * @property {string | undefined} after
+ *   Target after,
+ *   relative to the package folder (example: `'./lib/index.js'`),
+ *   if exported.
+ * @property {string | undefined} before
+ *   Target before,
+ *   relative to the package folder (example: `'./index.js'`),
+ *   if exported.
+ * @property {ReadonlyArray<string> | undefined} conditions
+ *   Conditions of the branch that changed;
+ *   `undefined` for changes to whole specifiers.
+ * @property {ChangeKind} kind
+ *   Kind of change.
+ * @property {ReleaseType} releaseType
+ *   Release type that the change needs.
+ * @property {string} specifier
+ *   Specifier (example: `'.'`, `'./sub'`).
+ *
+ * @typedef {(
+ *   'conditions-added' |
+ *   'conditions-removed' |
+ *   'format-changed' |
+ *   'specifier-added' |
+ *   'specifier-negated' |
+ *   'specifier-removed' |
+ *   'target-changed'
+ * )} ChangeKind
+ *   Kind of change;
+ *   `'conditions-added'` means a specifier is exported with new conditions,
+ *   `'conditions-removed'` means a specifier is no longer exported with
+ *   certain conditions,
+ *   `'format-changed'` means a specifier resolves to a file in a different
+ *   module format (CJS or ESM) with conditions that `require` uses,
+ *   `'specifier-added'` means a specifier is now exported,
+ *   `'specifier-negated'` means a specifier is now set to `null` with certain
+ *   conditions,
+ *   `'specifier-removed'` means a specifier is no longer in the export map,
+ *   `'target-changed'` means a specifier resolves to a different file.
+ *
+ * @typedef Comparison
+ *   Result of comparing exports.
+ * @property {Array<Change>} changes
+ *   Changes.
+ * @property {ReleaseType | undefined} releaseType
+ *   Release type that all changes need together,
+ *   `undefined` if the exports did not change.
+ *
+ * @typedef {'major' | 'minor' | 'patch'} ReleaseType
+ *   Semver release type.
+ */
+
+import path from 'node:path'
+import {pathToFileURL} from 'node:url'
+import {parse as jsonParse} from 'jsonc-parser'
+import {createResolver} from './resolve.js'
+
+/** @type {Readonly<Record<ChangeKind, ReleaseType>>} */
+const releaseTypeByKind = {
+  'conditions-added': 'minor',
+  'conditions-removed': 'major',
+  // Node versions without `require(esm)` can’t load ESM with `require`.
+  'format-changed': 'major',
+  'specifier-added': 'minor',
+  'specifier-negated': 'major',
+  'specifier-removed': 'major',
+  'target-changed': 'patch'
+}
+
+/** @type {ReadonlyArray<ReleaseType>} */
+const releaseTypes = ['patch', 'minor', 'major']
+
+/**
+ * Compare the exports of two versions of a package.
+ *
+ * Each specifier is resolved with the conditions of each of its branches,
+ * in both versions.
+ * Exports that no longer resolve need a major release,
+ * as do exports that `require` uses which resolve to a file in another
+ * module format,
+ * new exports a minor release,
+ * and exports that resolve to other files a patch release.
+ *
+ * @param {Readonly<Result>} before
+ *   Result of `packageExports` for the old version.
+ * @param {Readonly<Result>} after
+ *   Result of `packageExports` for the new version.
+ * @returns {Comparison}
+ *   Comparison.
+ */
+// eslint-disable-next-line complexity
+export function compareExports(before, after) {
+  const beforeBase = base(before)
+  const afterBase = base(after)
+  const beforeType = packageType(before)
+  const afterType = packageType(after)
+  const resolveBefore = createResolver(before)
+  const resolveAfter = createResolver(after)
+  /** @type {Array<Change>} */
+  const changes = []
+  /** @type {Set<string>} */
+  const seen = new Set()
+  /** @type {Set<string>} */
+  const seenSpecifiers = new Set()
+  /** @type {Set<string>} */
+  const beforeBranches = new Set()
+  /** @type {Set<string>} */
+  const afterBranches = new Set()
+
+  for (const export_ of before.exports) {
+    beforeBranches.add(branchKey(export_.specifier, export_.conditions))
+  }
+
+  for (const export_ of after.exports) {
+    afterBranches.add(branchKey(export_.specifier, export_.conditions))
+  }
+
+  for (const export_ of [...before.exports, ...after.exports]) {
+    const {conditions, specifier} = export_
+    const key = branchKey(specifier, conditions)
+
+    if (seen.has(key)) continue
+    seen.add(key)
+
+    const from = resolveBefore(specifier, conditions || [])
+    const to = resolveAfter(specifier, conditions || [])
+    const fromTarget = relative(from.url, beforeBase)
+    const toTarget = relative(to.url, afterBase)
+    // Files for `import` can be in either format.
+    const formatChanged =
+      fromTarget !== undefined &&
+      toTarget !== undefined &&
+      !(conditions || []).includes('import') &&
+      targetFormat(fromTarget, beforeType) !== targetFormat(toTarget, afterType)
+
+    // The same file can change format when `type` changes.
+    if (fromTarget === toTarget && !formatChanged) continue
+
+    const kind = classify(
+      from,
+      to,
+      afterBranches.has(key) && !beforeBranches.has(key),
+      formatChanged
+    )
+
+    const whole = kind === 'specifier-added' || kind === 'specifier-removed'
+
+    if (whole) {
+      if (seenSpecifiers.has(specifier)) continue
+      seenSpecifiers.add(specifier)
+    }
+
+    changes.push({
+      after: toTarget,
+      before: fromTarget,
+      conditions: whole ? undefined : conditions,
+      kind,
+      releaseType: releaseTypeByKind[kind],
+      specifier
+    })
+  }
+
+  /** @type {ReleaseType | undefined} */
+  let releaseType
+
+  for (const change of changes) {
+    if (
+      !releaseType ||
+      releaseTypes.indexOf(change.releaseType) >
+        releaseTypes.indexOf(releaseType)
+    ) {
+      releaseType = change.releaseType
+    }
+  }
+
+  return {changes, releaseType}
+}
+
+/**
+ * Get the URL to the folder of a package.
+ *
+ * @param {Readonly<Result>} result
+ *   Result.
+ * @returns {string}
+ *   URL.
+ */
+function base(result) {
+  return new URL(
+    '.',
+    pathToFileURL(path.resolve(result.file.cwd, result.file.path))
+  ).href
+}
+
+/**
+ * Classify how a branch changed,
+ * assuming its target changed.
+ *
+ * @param {Readonly<Resolution>} from
+ *   Resolution before.
+ * @param {Readonly<Resolution>} to
+ *   Resolution after.
+ * @param {boolean} branchAdded
+ *   Whether the branch is new.
+ * @param {boolean} formatChanged
+ *   Whether the module format changed for `require`.
+ * @returns {ChangeKind}
+ *   Kind of change.
+ */
+function classify(from, to, branchAdded, formatChanged) {
+  if (from.url && to.url) {
+    return branchAdded
+      ? 'conditions-added'
+      : formatChanged
+        ? 'format-changed'
+        : 'target-changed'
+  }
+
+  if (from.url) {
+    return to.reason === 'conditions'
+      ? 'conditions-removed'
+      : to.reason === 'negated'
+        ? 'specifier-negated'
+        : 'specifier-removed'
+  }
+
+  return from.reason === 'conditions' ? 'conditions-added' : 'specifier-added'
+}
+
+/**
+ * Get the module format that `.js` files have in a package,
+ * from its `type` field.
+ *
+ * @param {Readonly<Result>} result
+ *   Result.
+ * @returns {ModuleFormat}
+ *   Module format.
+ */
+function packageType(result) {
+  /** @type {unknown} */
+  const packageData = jsonParse(String(result.file.value))
+
+  return packageData &&
+    typeof packageData === 'object' &&
+    'type' in packageData &&
+    packageData.type === 'module'
+    ? 'module'
+    : 'commonjs'
+}
+
+/**
+ * Get the module format that Node uses for a target,
+ * from its extension and the `type` field of the package;
+ * nested `package.json` files are not taken into account.
+ *
+ * @param {string} target
+ *   Relative path (example: `'./index.js'`).
+ * @param {ModuleFormat} type
+ *   Module format of `.js` files.
+ * @returns {ModuleFormat | undefined}
+ *   Module format, if JavaScript.
+ */
+function targetFormat(target, type) {
+  const extension = path.posix.extname(target)
+
+  return extension === '.cjs'
+    ? 'commonjs'
+    : extension === '.mjs'
+      ? 'module'
+      : extension === '.js'
+        ? type
+        : undefined
+}
+
+/**
+ * Get a key for a branch.
+ *
+ * @param {string} specifier
+ *   Specifier.
+ * @param {ReadonlyArray<string> | undefined} conditions
+ *   Conditions.
+ * @returns {string}
+ *   Key.
+ */
+function branchKey(specifier, conditions) {
+  return specifier + '\0' + (conditions || []).join('\0')
+}
+
+/**
+ * Get a URL relative to the package folder.
+ *
+ * @param {string | undefined} url
+ *   URL.
+ * @param {string} base
+ *   URL to package folder.
+ * @returns {string | undefined}
+ *   Relative path.
+ */
+function relative(url, base) {
+  if (url === undefined) return
+  return './' + url.slice(base.length)
+}
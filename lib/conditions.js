@@ -0,0 +1,230 @@
+/**
+ * @typedef {import('./index.js').ModuleFormat} ModuleFormat
+ */
+
+/**
+ * @typedef ConditionInfo
+ *   Info about a condition.
+ * @property {string | null | undefined} [description]
+ *   What the condition is for (optional).
+ * @property {string | null | undefined} [exclusive]
+ *   Name of a group of mutually exclusive conditions (optional);
+ *   at most one condition of a group is set at a time.
+ * @property {boolean | null | undefined} [first]
+ *   Whether the condition must come before the other conditions that its
+ *   runtimes set (optional).
+ * @property {ModuleFormat | null | undefined} [format]
+ *   Module format of files for the condition (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [implies]
+ *   Conditions that are always set along with the condition (optional);
+ *   when the condition is set, at least one of them is set too.
+ * @property {ReadonlyArray<string> | null | undefined} [runtimes]
+ *   Names of tools that set the condition (optional; example: `['Node']`).
+ *
+ * @typedef MutuallyExclusiveInfo
+ *   Info about mutually exclusive conditions.
+ * @property {ReadonlyArray<string>} conditions
+ *   Conditions that cannot be used together.
+ * @property {boolean} exhaustive
+ *   Whether specifying all conditions in a conditions object means no
+ *   `default` is needed.
+ *   To illustrate, this is `true` for `import` and `require`, but not for
+ *   `production` and `development`.
+ */
+
+/**
+ * Groups of mutually exclusive conditions of which one is always set.
+ *
+ * @type {ReadonlySet<string>}
+ */
+const exhaustiveGroups = new Set(['format'])
+
+/**
+ * Known conditions, by name.
+ *
+ * @type {Readonly<Record<string, Readonly<ConditionInfo>>>}
+ */
+export const conditions = {
+  // <https://nodejs.org/api/packages.html#conditional-exports>
+  default: {
+    description: 'Always matches; must be last',
+    runtimes: ['bundlers', 'Node', 'TypeScript']
+  },
+  import: {
+    description: 'Loaded with `import` or `import()`',
+    exclusive: 'format',
+    format: 'module',
+    runtimes: ['bundlers', 'Node', 'TypeScript']
+  },
+  'module-sync': {
+    description:
+      'ESM without top-level await, loaded with `import` and `require` in versions of Node with `require(esm)`',
+    format: 'module',
+    implies: ['import', 'require'],
+    runtimes: ['Node']
+  },
+  'node-addons': {
+    description: 'Native addons can be loaded',
+    implies: ['node'],
+    runtimes: ['Node']
+  },
+  require: {
+    description: 'Loaded with `require()`',
+    exclusive: 'format',
+    format: 'commonjs',
+    runtimes: ['bundlers', 'Node', 'TypeScript']
+  },
+  // <https://www.typescriptlang.org/docs/handbook/modules/reference.html#conditional-exports>
+  types: {
+    description: 'Type declarations',
+    first: true,
+    implies: ['import', 'require'],
+    runtimes: ['TypeScript']
+  },
+  // <https://nodejs.org/api/packages.html#community-conditions-definitions>
+  development: {
+    description: 'Development builds',
+    exclusive: 'mode',
+    runtimes: ['bundlers']
+  },
+  production: {
+    description: 'Production builds',
+    exclusive: 'mode',
+    runtimes: ['bundlers']
+  },
+  // Bundlers.
+  asset: {
+    description: 'Files that are not JavaScript',
+    runtimes: ['bundlers']
+  },
+  module: {
+    description: 'ESM, used by bundlers for both `import` and `require`',
+    format: 'module',
+    runtimes: ['bundlers']
+  },
+  sass: {
+    description: 'Sass files',
+    runtimes: ['Sass']
+  },
+  style: {
+    description: 'CSS files',
+    runtimes: ['bundlers']
+  },
+  worker: {
+    description: 'Web workers and worker runtimes',
+    runtimes: ['bundlers', 'workerd']
+  },
+  // Runtime keys.
+  // <https://runtime-keys.proposal.wintercg.org/>
+  browser: {
+    description: 'Generic browser environments',
+    exclusive: 'runtime',
+    runtimes: ['bundlers']
+  },
+  'edge-routine': {
+    description: 'Alibaba Cloud',
+    exclusive: 'runtime',
+    runtimes: ['edge-routine']
+  },
+  workerd: {
+    description: 'Cloudflare',
+    exclusive: 'runtime',
+    runtimes: ['workerd']
+  },
+  deno: {description: 'Deno', exclusive: 'runtime', runtimes: ['Deno']},
+  lagon: {
+    description: 'Lagon Runtime',
+    exclusive: 'runtime',
+    runtimes: ['Lagon']
+  },
+  'react-native': {
+    description: 'React Native',
+    exclusive: 'runtime',
+    runtimes: ['React Native']
+  },
+  moddable: {
+    description: 'Moddable SDK',
+    exclusive: 'runtime',
+    runtimes: ['Moddable']
+  },
+  netlify: {
+    description: 'Netlify Edge Functions',
+    exclusive: 'runtime',
+    runtimes: ['Netlify']
+  },
+  electron: {
+    description: 'Electron',
+    exclusive: 'runtime',
+    runtimes: ['Electron']
+  },
+  node: {
+    description: 'Node.js',
+    exclusive: 'runtime',
+    runtimes: ['Node', 'TypeScript']
+  },
+  bun: {description: 'Bun', exclusive: 'runtime', runtimes: ['Bun']},
+  'react-server': {
+    description: 'React Server Components',
+    exclusive: 'runtime',
+    runtimes: ['bundlers']
+  },
+  'edge-light': {
+    description: 'Vercel Edge Light',
+    exclusive: 'runtime',
+    runtimes: ['Vercel']
+  },
+  fastly: {
+    description: 'Fastly JavaScript on Compute@Edge',
+    exclusive: 'runtime',
+    runtimes: ['Fastly']
+  }
+}
+
+/**
+ * Get the groups of mutually exclusive conditions in a registry.
+ *
+ * @param {Readonly<Record<string, Readonly<ConditionInfo>>>} registry
+ *   Conditions, by name.
+ * @returns {Array<MutuallyExclusiveInfo>}
+ *   Groups.
+ */
+export function exclusiveGroups(registry) {
+  /** @type {Map<string, Array<string>>} */
+  const groups = new Map()
+
+  for (const [name, info] of Object.entries(registry)) {
+    if (!info.exclusive) continue
+    let list = groups.get(info.exclusive)
+
+    if (!list) {
+      list = []
+      groups.set(info.exclusive, list)
+    }
+
+    list.push(name)
+  }
+
+  return [...groups].map(function ([group, conditions]) {
+    return {conditions, exhaustive: exhaustiveGroups.has(group)}
+  })
+}
+
+/**
+ * Get the conditions that are always set along with each condition in a
+ * registry.
+ *
+ * @param {Readonly<Record<string, Readonly<ConditionInfo>>>} registry
+ *   Conditions, by name.
+ * @returns {Record<string, ReadonlyArray<string>>}
+ *   Implied conditions, by condition.
+ */
+export function impliedConditions(registry) {
+  /** @type {Record<string, ReadonlyArray<string>>} */
+  const result = {}
+
+  for (const [name, info] of Object.entries(registry)) {
+    if (info.implies) result[name] = info.implies
+  }
+
+  return result
+}
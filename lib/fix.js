@@ -0,0 +1,57 @@
+/**
+ * @typedef {import('jsonc-parser').Edit} Edit
+ * @typedef {import('./index.js').Message} Message
+ * @typedef {import('./index.js').Result} Result
+ */
+
+import {applyEdits} from 'jsonc-parser'
+
+/**
+ * Apply the fixes of messages to `package.json`.
+ *
+ * Fixes that overlap with an earlier fix are skipped;
+ * run `packageExports` on the new `package.json` again to fix those.
+ *
+ * @param {Readonly<Result>} result
+ *   Result of `packageExports`.
+ * @returns {string}
+ *   Fixed `package.json`.
+ */
+export function applyFixes(result) {
+  const messages = /** @type {ReadonlyArray<Message>} */ (result.file.messages)
+  /** @type {Array<Edit>} */
+  const edits = []
+
+  for (const message of messages) {
+    if (
+      message.fix &&
+      message.fix.every(function (edit) {
+        return !edits.some(function (other) {
+          return overlap(edit, other)
+        })
+      })
+    ) {
+      edits.push(...message.fix)
+    }
+  }
+
+  return applyEdits(String(result.file.value), edits)
+}
+
+/**
+ * Check if two edits overlap.
+ *
+ * @param {Readonly<Edit>} left
+ *   Left.
+ * @param {Readonly<Edit>} right
+ *   Right.
+ * @returns {boolean}
+ *   Whether they overlap.
+ */
+function overlap(left, right) {
+  return (
+    left.offset === right.offset ||
+    (left.offset < right.offset + right.length &&
+      right.offset < left.offset + left.length)
+  )
+}
@@ -1,14 +1,26 @@
 /**
+ * @typedef {import('./conditions.js').ConditionInfo} ConditionInfo
+ * @typedef {import('./conditions.js').MutuallyExclusiveInfo} MutuallyExclusiveInfo
+ * @typedef {import('acorn').Identifier} Identifier
+ * @typedef {import('acorn').Literal} Literal
+ * @typedef {import('acorn').Pattern} Pattern
+ * @typedef {import('acorn').Program} Program
+ * @typedef {import('jsonc-parser').Edit} Edit
  * @typedef {import('jsonc-parser').Node} Node
+ * @typedef {import('jsonc-parser').ParseError} ParseError
  * @typedef {import('type-fest').PackageJson} PackageJson
  * @typedef {import('vfile-location').Location} Location
- * @typedef {import('vfile-message').Options} Options
+ * @typedef {import('vfile-message').Options} MessageOptions
+ * @typedef {import('vfile-message').VFileMessage} VFileMessage
  */
 
 /**
- * @typedef {Omit<RawExport, 'filePath' | 'globbed' | 'jsonPathOrder'>} Export
+ * @typedef {Omit<RawExport, 'filePath' | 'format' | 'globbed' | 'jsonPathOrder'>} Export
  *   Export.
  *
+ * @typedef {Omit<RawNegatedExport, 'jsonPathOrder'>} NegatedExport
+ *   Negated export.
+ *
  * @typedef {AddInfoExtraFields & Info} AddInfo
  *   Info.
  *
@@ -23,6 +35,8 @@
  *   Info about the current path.
  * @property {ReadonlyArray<String> | undefined} conditions
  *   Conditions.
+ * @property {'exports' | 'imports'} field
+ *   Field in `package.json`.
  * @property {ReadonlyArray<number | string>} path
  *   Path in `package.json`.
  * @property {ReadonlyArray<number>} pathOrder
@@ -30,17 +44,100 @@
  * @property {string | undefined} specifier
  *   Specifier.
  *
- * @typedef MutuallyExclusiveInfo
- *   Info about mutually exclusive conditions.
- * @property {ReadonlyArray<string>} conditions
- *   Conditions that cannot be used together.
- * @property {boolean} exhaustive
- *   Whether specifying all conditions in a conditions object means no
- *   `default` is needed.
- *   To illustrate, this is `true` for `import` and `require`, but not for
- *   `production` and `development`.
- *
- * @typedef NegatedExport
+ * @typedef DeclarationInfo
+ *   Info about a declaration file that TypeScript finds for a specifier.
+ * @property {string} declaration
+ *   Path to declaration file (example: `'./index.d.ts'`).
+ * @property {string} file
+ *   Path to JavaScript file that Node loads (example: `'./index.js'`).
+ * @property {ReadonlyArray<number | string>} jsonPath
+ *   Path in `package.json`.
+ * @property {string} kind
+ *   Condition that TypeScript sets (`'import'` or `'require'`).
+ * @property {string} specifier
+ *   Specifier.
+ *
+ * @typedef DualInfo
+ *   Info about a specifier that Node resolves to different files with
+ *   `import` and `require`.
+ * @property {string} importFile
+ *   Path to file with `import` (example: `'./index.mjs'`).
+ * @property {ReadonlyArray<number | string>} jsonPath
+ *   Path in `package.json` of the specifier.
+ * @property {string} requireFile
+ *   Path to file with `require` (example: `'./index.cjs'`).
+ * @property {string} specifier
+ *   Specifier.
+ *
+ * @typedef FileSystem
+ *   File system.
+ * @property {(url: URL) => Promise<undefined>} access
+ *   Check that a file exists;
+ *   must reject with an `ENOENT` error if it doesn’t.
+ * @property {(folder: URL) => Promise<ReadonlyArray<string>>} packagedFiles
+ *   Get the files in `folder` that npm would package,
+ *   as relative POSIX paths (example: `'./index.js'`).
+ * @property {(url: URL) => Promise<string>} readFile
+ *   Read a file as UTF-8.
+ *
+ * @typedef {VFileMessage & {fix?: Array<Edit> | undefined}} Message
+ *   Message, with a fix if there is one.
+ *
+ * @typedef {'commonjs' | 'module'} ModuleFormat
+ *   Module format: CJS or ESM.
+ *
+ * @typedef ModuleNames
+ *   Names that a module exposes.
+ * @property {boolean} dynamic
+ *   Whether there may be more names than found,
+ *   because some can’t be statically determined.
+ * @property {boolean} hasDefault
+ *   Whether there is a default export.
+ * @property {Set<string>} names
+ *   Named exports.
+ *
+ * @typedef Options
+ *   Configuration (optional).
+ * @property {Readonly<Record<string, Readonly<ConditionInfo>>> | null | undefined} [conditions]
+ *   Info about conditions, by condition (optional);
+ *   for example to register conditions that a team uses;
+ *   merged with the defaults,
+ *   an entry replaces a default one.
+ * @property {ReadonlyArray<string> | null | undefined} [customConditions]
+ *   Custom conditions (optional);
+ *   conditions that look like typos of known conditions are reported,
+ *   unless they are in `conditions` or here.
+ * @property {Readonly<Partial<FileSystem>> | null | undefined} [fs]
+ *   File system to use instead of the real one (optional);
+ *   for example to check files that are in memory.
+ * @property {boolean | null | undefined} [names]
+ *   Whether to find the names that every export exposes
+ *   (default: `false`).
+ * @property {boolean | null | undefined} [resolve]
+ *   Whether to resolve every export in Node to check that Node resolves it
+ *   like `resolveExport` (default: `false`);
+ *   this does not run code in the package,
+ *   but it needs the package on disk:
+ *   Node reads files from disk, not from `fs`.
+ * @property {Readonly<Record<string, Severity>> | null | undefined} [rules]
+ *   Severity of rules, by rule ID (optional);
+ *   rules default to `'warn'`,
+ *   or `'info'` for rules that only inform.
+ * @property {boolean | null | undefined} [verify]
+ *   Whether to load every export in Node to check that it works,
+ *   which implies `resolve`
+ *   (default: `false`);
+ *   this runs code in the package,
+ *   so only use it on packages you trust,
+ *   and it needs the package on disk:
+ *   Node loads files from disk, not from `fs`.
+ *
+ * @typedef {'error' | 'info' | 'off' | 'warn'} Severity
+ *   Severity of a rule;
+ *   `'error'` sets `fatal: true` on messages,
+ *   `'off'` turns the rule off.
+ *
+ * @typedef RawNegatedExport
  *   Negated export.
  * @property {ReadonlyArray<string> | undefined} conditions
  *   Conditions.
@@ -51,23 +148,67 @@
  * @property {string} specifier
  *   Raw specifier as used in export map.
  *
+ * @typedef VerifyError
+ *   Error from loading a specifier in Node.
+ * @property {string | undefined} [code]
+ *   Error code (example: `'ERR_MODULE_NOT_FOUND'`).
+ * @property {string} message
+ *   Message.
+ * @property {string} name
+ *   Name (example: `'SyntaxError'`).
+ *
+ * @typedef VerifyResolution
+ *   How Node resolves and loads a specifier.
+ * @property {Array<string>} conditions
+ *   Other conditions that this version of Node sets
+ *   (example: `['module-sync']`).
+ * @property {VerifyError | undefined} [error]
+ *   Error from loading, if any.
+ * @property {string | undefined} [url]
+ *   Relative URL to the file in the package (example: `'./index.js'`),
+ *   or full URL if outside it,
+ *   if resolved.
+ *
  * @typedef State
  *   Info passed around.
+ * @property {Readonly<Record<string, Readonly<ConditionInfo>>>} conditions
+ *   Info about conditions.
+ * @property {ReadonlyArray<string>} customConditions
+ *   Custom conditions.
+ * @property {Array<string>} dependencies
+ *   Names of packages that can be imported: dependencies and the package
+ *   itself.
+ * @property {ReadonlyArray<MutuallyExclusiveInfo>} exclusiveGroups
+ *   Groups of mutually exclusive conditions.
  * @property {Array<RawExport>} exports
  *   Exports.
  * @property {VFile} file
  *   File.
+ * @property {FileSystem} fs
+ *   File system.
+ * @property {Readonly<Record<string, ReadonlyArray<string>>>} impliedConditions
+ *   Conditions that are always set along with a condition.
+ * @property {Array<RawExport>} imports
+ *   Imports.
  * @property {Location} location
  *   Location map.
- * @property {Array<NegatedExport>} negatedExports
+ * @property {Array<RawNegatedExport>} negatedExports
  *   Negated exports: those set to `null`.
+ * @property {Array<RawNegatedExport>} negatedImports
+ *   Negated imports: those set to `null`.
  * @property {string} packageUrl
  *   URL.
  * @property {ReadonlyArray<string>} packagedFiles
  *   Files that will be available after taking `.npmignore` and `"files"` into
  *   account.
+ * @property {Readonly<Record<string, Severity>>} rules
+ *   Severity of rules.
  * @property {Node} tree
  *   JSONC tree.
+ * @property {ModuleFormat} type
+ *   Module format of `.js` files in the package, from `type`.
+ * @property {string} value
+ *   Contents of `package.json`.
  *
  * @typedef RawExport
  *   Export.
@@ -77,8 +218,13 @@
  *   Whether this file exists.
  * @property {string} filePath
  *   Raw path to file as used in export map.
+ * @property {ModuleFormat | undefined} format
+ *   Module format that Node uses for the file, if JavaScript.
  * @property {boolean} globbed
  *   Whether this file was added with a glob.
+ * @property {boolean | undefined} [hasDefault]
+ *   Whether the file has a default export,
+ *   if found with `names`.
  * @property {ReadonlyArray<number | string>} jsonPath
  *   Path in `package.json`.
  * @property {ReadonlyArray<number>} jsonPathOrder
@@ -86,6 +232,13 @@
  *   this is like `jsonPath`,
  *   but with numbers for in which order keys occurred,
  *   which is needed because export maps are order-sensitive.
+ * @property {Array<string> | undefined} [names]
+ *   Named exports of the file,
+ *   if found with `names`.
+ * @property {boolean | undefined} [namesDynamic]
+ *   Whether the file may have more named exports than found,
+ *   because some can’t be statically determined,
+ *   if found with `names`.
  * @property {string} specifier
  *   Specifier that exposes this.
  * @property {string} url
@@ -97,23 +250,55 @@
  *   Exports.
  * @property {VFile} file
  *   File.
+ * @property {Array<Export>} imports
+ *   Imports that map to files in the package.
  * @property {string | undefined} name
  *   Package name.
+ * @property {Array<NegatedExport>} negatedExports
+ *   Negated exports: those set to `null`.
  */
 
 import assert from 'node:assert/strict'
+import {execFile as execFileCallback} from 'node:child_process'
 import fs from 'node:fs/promises'
+import {builtinModules} from 'node:module'
 import path from 'node:path'
 import process from 'node:process'
 import {fileURLToPath} from 'node:url'
+import {promisify} from 'node:util'
 import Arborist from '@npmcli/arborist'
+import {parse as acornParse} from 'acorn'
+import {init as cjsInit, parse as cjsParse} from 'cjs-module-lexer'
+import {init as esmInit, parse as esmParse} from 'es-module-lexer'
 import {name as isIdentifierName} from 'estree-util-is-identifier-name'
-import {parseTree as jsonParse, findNodeAtLocation} from 'jsonc-parser'
+import {
+  getNodeValue,
+  parseTree as jsonParse,
+  printParseErrorCode
+} from 'jsonc-parser'
 import {Minimatch} from 'minimatch'
 import npmPacklist from 'npm-packlist'
+import semver from 'semver'
 import {VFile} from 'vfile'
 import {location} from 'vfile-location'
 import {compareMessage} from 'vfile-sort'
+import {
+  conditions as defaultConditions,
+  exclusiveGroups,
+  impliedConditions
+} from './conditions.js'
+import {createOrderedResolver} from './resolve.js'
+
+const execFile = promisify(execFileCallback)
+
+/**
+ * Severity of rules that don’t default to `'warn'`, by rule ID.
+ *
+ * @type {Readonly<Record<string, Severity>>}
+ */
+const defaultSeverities = {'exports-dual-package-hazard': 'info'}
+
+const requireExpression = /\brequire\(\s*(["'])([^"']+)\1\s*\)/g
 
 const listFormat = new Intl.ListFormat('en')
 
@@ -130,82 +315,173 @@ const mainSuffixes = [
   '/index.node'
 ]
 
-/** @type {ReadonlyArray<MutuallyExclusiveInfo>} */
-const mutuallyExclusiveConditions = [
-  // <https://nodejs.org/api/packages.html#community-conditions-definitions>
-  {conditions: ['development', 'production'], exhaustive: false},
-  // ESM vs CJS.
-  // <https://nodejs.org/api/packages.html#community-conditions-definitions>
-  {conditions: ['import', 'require'], exhaustive: true},
-  // Regular Node vs C++.
-  // <https://nodejs.org/api/packages.html#community-conditions-definitions>
-  {conditions: ['node', 'node-addons'], exhaustive: false},
-  {
-    conditions: [
-      // Generic browser environments.
-      // <https://runtime-keys.proposal.wintercg.org/>
-      'browser',
-      // WinterGC runtime keys.
-      'edge-routine', // Alibaba Cloud.
-      'workerd', // Cloudflare.
-      'deno', // Deno.
-      'lagon', // Lagon Runtime.
-      'react-native', // React native.
-      'moddable', // Moddable SDK.
-      'netlify', // Netlify Edge Functions.
-      'electron', // Electron.
-      'node', // Node.js.
-      'bun', // Bun.
-      'react-server', // React - Server Components.
-      'edge-light', // Vercel - Edge Light
-      'fastly' // Fastly - JavaScript on Compute@Edge
-    ],
-    exhaustive: false
+/**
+ * What was expected instead of syntax errors, by JSON parse error code.
+ *
+ * @type {Readonly<Record<string, string>>}
+ */
+const parseErrorExpectations = {
+  CloseBraceExpected: '`}`',
+  CloseBracketExpected: '`]`',
+  ColonExpected: '`:`',
+  CommaExpected: '`,`',
+  EndOfFileExpected: 'end of file',
+  InvalidCharacter: 'string without control characters',
+  InvalidCommentToken: 'JSON without comments',
+  InvalidEscapeCharacter: 'valid escape',
+  InvalidNumberFormat: 'valid number',
+  InvalidSymbol: 'value',
+  InvalidUnicode: 'valid unicode escape',
+  PropertyNameExpected: 'property name',
+  UnexpectedEndOfComment: 'closed comment',
+  UnexpectedEndOfNumber: 'valid number',
+  UnexpectedEndOfString: 'closed string',
+  ValueExpected: 'value'
+}
+
+/**
+ * Declaration files (example: `'./index.d.ts'`).
+ */
+const declarationExpression = /\.d\.[cm]?ts$/
+
+/**
+ * TypeScript files, which TypeScript uses directly.
+ */
+const typeScriptExpression = /\.[cm]?ts$/
+
+/**
+ * First version of TypeScript that reads `exports`.
+ */
+const exportsTypeScriptVersion = '4.7.0'
+
+/**
+ * Prefix of the line with the result in the output of `verifyScript`,
+ * as code in the package can print things too.
+ */
+const verifyPrefix = 'package-exports-verify:'
+
+/**
+ * Script to resolve and load a specifier in a child process with;
+ * loading is skipped when the mode is `'resolve'`;
+ * prints how Node resolves and loads it as JSON on a line starting with
+ * `verifyPrefix`.
+ */
+const verifyScript = [
+  "const {createRequire} = await import('node:module')",
+  "const {pathToFileURL} = await import('node:url')",
+  'const [specifier, kind, mode] = process.argv.slice(1)',
+  "const base = pathToFileURL(process.cwd() + '/').href",
+  'const require = createRequire(base)',
+  'let error',
+  'let url',
+  'try {',
+  "  url = kind === 'require' ? pathToFileURL(require.resolve(specifier)).href : import.meta.resolve(specifier)",
+  '} catch {}',
+  "if (mode !== 'resolve') {",
+  '  try {',
+  "    await (kind === 'require' ? require(specifier) : import(specifier))",
+  '  } catch (exception) {',
+  '    error = {code: exception.code, message: String(exception.message), name: exception.name}',
+  '  }',
+  '}',
+  "console.log('\\n' + " +
+    JSON.stringify(verifyPrefix) +
+    " + JSON.stringify({conditions: process.features.require_module ? ['module-sync'] : [], error, url: url && url.startsWith(base) ? './' + url.slice(base.length) : url}))",
+  'process.exit()'
+].join('\n')
+
+/** @type {FileSystem} */
+const defaultFileSystem = {
+  async access(url) {
+    await fs.access(url, fs.constants.F_OK)
+  },
+  async packagedFiles(folder) {
+    const arborist = new Arborist({path: fileURLToPath(folder)})
+    const arboristTree = await arborist.loadActual()
+    const files = await npmPacklist(arboristTree)
+    return files.map(pathToPosixPath)
+  },
+  async readFile(url) {
+    return fs.readFile(url, 'utf8')
   }
-]
+}
 
 /**
  * Get the exports of a package.
  *
  * @param {Readonly<URL>} folder
  *   File URL to folder of a package.
+ * @param {Readonly<Options> | null | undefined} [options]
+ *   Configuration (optional).
  * @returns {Promise<Result>}
  *   Result.
  */
 // eslint-disable-next-line complexity
-export async function packageExports(folder) {
+export async function packageExports(folder, options) {
+  /** @type {FileSystem} */
+  const fileSystem = {...defaultFileSystem, ...(options && options.fs)}
   const packageUrl = new URL('package.json', folder)
-  const arborist = new Arborist({path: fileURLToPath(folder)})
-  const arboristTree = await arborist.loadActual()
-  const [packedFilesRaw, value] = await Promise.all([
-    npmPacklist(arboristTree),
-    fs.readFile(packageUrl, 'utf8')
-  ])
+  const value = await fileSystem.readFile(packageUrl)
   const file = new VFile({
     path: path.relative(process.cwd(), fileURLToPath(packageUrl)),
     value
   })
+  const fileLocation = location(file)
+  const rules = (options && options.rules) || {}
+  /** @type {Array<ParseError>} */
+  const errors = []
+  const tree = jsonParse(value, errors, {disallowComments: true})
+
+  // Npm can’t read this either, so we can’t get the packaged files.
+  if (errors.length > 0 || !tree || tree.type !== 'object') {
+    return invalidPackage(
+      {file, location: fileLocation, rules, value},
+      errors,
+      tree
+    )
+  }
+
+  const packagedFiles = await fileSystem.packagedFiles(new URL(folder.href))
   const packageData = /** @type {PackageJson} */ (JSON.parse(value))
-  const tree = jsonParse(value)
   const files = 'files' in packageData
   /** @type {string | undefined} */
   let name
 
-  assert(tree)
-
+  const conditions = {
+    ...defaultConditions,
+    ...(options && options.conditions)
+  }
   /** @type {State} */
   const state = {
+    conditions,
+    customConditions: (options && options.customConditions) || [],
+    dependencies: [
+      ...Object.keys(packageData.dependencies || {}),
+      ...Object.keys(packageData.optionalDependencies || {}),
+      ...Object.keys(packageData.peerDependencies || {})
+    ],
+    exclusiveGroups: exclusiveGroups(conditions),
     exports: [],
     file,
-    location: location(file),
+    fs: fileSystem,
+    impliedConditions: impliedConditions(conditions),
+    imports: [],
+    location: fileLocation,
     negatedExports: [],
+    negatedImports: [],
     packageUrl: packageUrl.href,
-    packagedFiles: packedFilesRaw.map(pathToPosixPath),
-    tree
+    packagedFiles,
+    rules,
+    tree,
+    type: packageData.type === 'module' ? 'module' : 'commonjs',
+    value
   }
 
+  checkDuplicateKeys(state, tree, [])
+
   if (typeof packageData.name === 'string') {
     name = packageData.name
+    state.dependencies.push(name)
   } else {
     message(
       state,
@@ -236,127 +512,1767 @@ export async function packageExports(folder) {
   if (!files) {
     message(
       state,
-      'Unexpected missing `files` field, expected array of allowed files to include',
-      {ruleId: 'files-missing', source: 'package-exports'},
-      []
+      'Unexpected missing `files` field, expected array of allowed files to include',
+      {ruleId: 'files-missing', source: 'package-exports'},
+      []
+    )
+  }
+
+  if ('exports' in packageData) {
+    await resolveExports(
+      state,
+      {
+        conditions: undefined,
+        field: 'exports',
+        path: ['exports'],
+        pathOrder: [0],
+        specifier: undefined
+      },
+      /** @type {unknown} */ (packageData.exports)
+    )
+
+    removeNegated(state, 'exports')
+
+    // Check for a main specifier.
+    if (
+      !state.exports.some(function (d) {
+        return d.specifier === '.'
+      })
+    ) {
+      message(
+        state,
+        'Unexpected missing main specifier `.`, expected an export to the main module',
+        {ruleId: 'exports-main-missing', source: 'package-exports'},
+        []
+      )
+    }
+
+    // Check for `"main"` field.
+    if ('main' in packageData) {
+      message(
+        state,
+        'Unexpected unused legacy `main` field with modern `exports`, remove it',
+        {
+          fix: fixRemove(state, ['main']),
+          ruleId: 'main-extra',
+          source: 'package-exports'
+        },
+        ['main']
+      )
+    }
+  }
+
+  if ('imports' in packageData) {
+    const importsValue = /** @type {unknown} */ (packageData.imports)
+
+    if (
+      importsValue &&
+      typeof importsValue === 'object' &&
+      !Array.isArray(importsValue)
+    ) {
+      await resolveExports(
+        state,
+        {
+          conditions: undefined,
+          field: 'imports',
+          path: ['imports'],
+          pathOrder: [0],
+          specifier: undefined
+        },
+        importsValue
+      )
+
+      removeNegated(state, 'imports')
+    } else {
+      message(
+        state,
+        'Unexpected invalid value `' +
+          JSON.stringify(importsValue) +
+          '` at `imports`, expected specifier object',
+        {ruleId: 'imports-value-invalid', source: 'package-exports'},
+        ['imports']
+      )
+    }
+  }
+
+  if (!('exports' in packageData)) {
+    await Promise.all([
+      resolveMainExport(state, packageData.main, packageData.type),
+      resolvePackagedFiles(state)
+    ])
+  }
+
+  checkFormats(state, 'exports')
+  checkFormats(state, 'imports')
+  await checkRequireAsync(state)
+
+  for (const export_ of [...state.exports, ...state.imports]) {
+    if (export_.exists && !state.packagedFiles.includes(export_.filePath)) {
+      message(
+        state,
+        'Unexpected file `' +
+          export_.filePath +
+          '` at `' +
+          displayPath(export_.jsonPath) +
+          '` which is excluded from the npm package, ' +
+          (files
+            ? 'add it to `files` in `package.json`'
+            : 'remove it from `.npmignore`'),
+        {ruleId: 'npm-ignored', source: 'package-exports'},
+        export_.jsonPath
+      )
+    }
+  }
+
+  state.exports.sort(compareExport)
+  state.imports.sort(compareExport)
+
+  if (options && options.names) {
+    await addNames(state)
+    checkNames(state)
+  }
+
+  await checkDualPackageHazard(state)
+
+  if (
+    options &&
+    (options.resolve || options.verify) &&
+    name &&
+    'exports' in packageData
+  ) {
+    await verifyExports(state, folder, name, Boolean(options.verify))
+  }
+
+  const declarations = await checkDeclarations(state, packageData, files)
+
+  if ('typesVersions' in packageData) {
+    checkTypesVersions(state, packageData, declarations)
+  }
+
+  state.negatedExports.sort(compareExport)
+  file.messages.sort(compareMessage)
+
+  return {
+    exports: state.exports.map(rawExportToExport),
+    file,
+    imports: state.imports.map(rawExportToExport),
+    name,
+    negatedExports: state.negatedExports.map(rawNegatedExportToNegatedExport)
+  }
+}
+
+/**
+ * Check that files match the way they are loaded:
+ * ESM with `require`,
+ * CJS or native addons with `import`;
+ * the innermost condition with a `format` decides.
+ *
+ * @param {Readonly<State>} state
+ * @param {'exports' | 'imports'} field
+ * @returns {undefined}
+ */
+function checkFormats(state, field) {
+  const exports = field === 'exports' ? state.exports : state.imports
+
+  for (const export_ of exports) {
+    const conditions = export_.conditions || []
+    const condition = [...conditions].reverse().find(function (d) {
+      const info = conditionInfo(state, d)
+      return info !== undefined && Boolean(info.format)
+    })
+    const format = condition
+      ? /** @type {ConditionInfo} */ (conditionInfo(state, condition)).format
+      : undefined
+
+    if (format === 'commonjs' && export_.format === 'module') {
+      message(
+        state,
+        'Unexpected ESM file `' +
+          export_.filePath +
+          '` at `' +
+          displayPath(export_.jsonPath) +
+          '` with `' +
+          condition +
+          '`, which Node can’t load in versions without `require(esm)`, expected a CJS file (such as `.cjs`)',
+        {ruleId: field + '-require-esm', source: 'package-exports'},
+        export_.jsonPath
+      )
+    } else if (format === 'module' && export_.filePath.endsWith('.node')) {
+      message(
+        state,
+        'Unexpected native addon `' +
+          export_.filePath +
+          '` at `' +
+          displayPath(export_.jsonPath) +
+          '` with `' +
+          condition +
+          '`, which Node can’t load, expected it with `require`',
+        {ruleId: field + '-import-addon', source: 'package-exports'},
+        export_.jsonPath
+      )
+    } else if (format === 'module' && export_.format === 'commonjs') {
+      message(
+        state,
+        'Unexpected CJS file `' +
+          export_.filePath +
+          '` at `' +
+          displayPath(export_.jsonPath) +
+          '` with `' +
+          condition +
+          '`, which Node loads as CJS, expected an ESM file (such as `.mjs`), or remove the `' +
+          condition +
+          '` condition',
+        {ruleId: field + '-import-commonjs', source: 'package-exports'},
+        export_.jsonPath
+      )
+    }
+  }
+}
+
+/**
+ * Find the names that every export exposes.
+ *
+ * @param {Readonly<State>} state
+ * @returns {Promise<undefined>}
+ */
+async function addNames(state) {
+  await Promise.all([cjsInit(), esmInit])
+
+  /** @type {Map<string, ModuleNames>} */
+  const cache = new Map()
+
+  for (const export_ of state.exports) {
+    if (!export_.exists || typeScriptExpression.test(export_.filePath)) {
+      continue
+    }
+
+    let result = cache.get(export_.filePath)
+
+    if (!result) {
+      result = await findNames(
+        state,
+        export_.filePath,
+        export_.format,
+        new Set()
+      )
+      cache.set(export_.filePath, result)
+    }
+
+    export_.hasDefault = result.hasDefault
+    export_.names = [...result.names].sort()
+    export_.namesDynamic = result.dynamic
+  }
+}
+
+/**
+ * Find specifiers that Node resolves to different files with `import` and
+ * `require`.
+ *
+ * @param {Readonly<State>} state
+ * @returns {Array<DualInfo>}
+ */
+function findDualFiles(state) {
+  const resolveFile = createFileResolver(state)
+  /** @type {Array<DualInfo>} */
+  const duals = []
+  /** @type {Set<string>} */
+  const specifiers = new Set()
+  /** @type {Set<string>} */
+  const requireSpecifiers = new Set()
+
+  for (const export_ of state.exports) {
+    if (export_.conditions && export_.conditions.includes('import')) {
+      specifiers.add(export_.specifier)
+    }
+
+    if (export_.conditions && export_.conditions.includes('require')) {
+      requireSpecifiers.add(export_.specifier)
+    }
+  }
+
+  for (const specifier of specifiers) {
+    if (!requireSpecifiers.has(specifier)) continue
+
+    const importFile = resolveFile(specifier, ['node', 'node-addons', 'import'])
+    const requireFile = resolveFile(specifier, [
+      'node',
+      'node-addons',
+      'require'
+    ])
+
+    if (
+      !importFile ||
+      !requireFile ||
+      importFile.filePath === requireFile.filePath
+    ) {
+      continue
+    }
+
+    const keyIndex = importFile.jsonPath.findIndex(function (d) {
+      return typeof d === 'string' && d.startsWith('.')
+    })
+
+    duals.push({
+      importFile: importFile.filePath,
+      jsonPath:
+        keyIndex === -1
+          ? // Sugar: conditions directly in `exports`.
+            importFile.jsonPath.slice(0, 1)
+          : importFile.jsonPath.slice(0, keyIndex + 1),
+      requireFile: requireFile.filePath,
+      specifier
+    })
+  }
+
+  return duals
+}
+
+/**
+ * Check that the files for `import` and `require` of a specifier expose the
+ * same names.
+ *
+ * @param {Readonly<State>} state
+ * @returns {undefined}
+ */
+function checkNames(state) {
+  for (const dual of findDualFiles(state)) {
+    const {importFile, jsonPath, requireFile, specifier} = dual
+    const importExport = state.exports.find(function (d) {
+      return d.filePath === importFile
+    })
+    const requireExport = state.exports.find(function (d) {
+      return d.filePath === requireFile
+    })
+    assert(importExport)
+    assert(requireExport)
+
+    // Missing or declaration files.
+    if (!importExport.names || !requireExport.names) continue
+
+    const importNames = importExport.names
+    const requireNames = requireExport.names
+    // Names that can’t be statically found might be there.
+    const onlyImport = requireExport.namesDynamic
+      ? []
+      : importNames.filter(function (d) {
+          return !requireNames.includes(d)
+        })
+    const onlyRequire = importExport.namesDynamic
+      ? []
+      : requireNames.filter(function (d) {
+          return !importNames.includes(d)
+        })
+
+    /** @type {Array<[Array<string>, string, string, string, string]>} */
+    const checks = [
+      [onlyImport, 'import', importFile, 'require', requireFile],
+      [onlyRequire, 'require', requireFile, 'import', importFile]
+    ]
+
+    for (const [only, kind, file, otherKind, otherFile] of checks) {
+      if (only.length === 0) continue
+
+      message(
+        state,
+        'Unexpected ' +
+          (only.length === 1 ? 'named export ' : 'named exports ') +
+          listFormat.format(
+            only.map(function (d) {
+              return '`' + d + '`'
+            })
+          ) +
+          ' only in `' +
+          file +
+          '` with `' +
+          kind +
+          '` and not in `' +
+          otherFile +
+          '` with `' +
+          otherKind +
+          '` for specifier `' +
+          specifier +
+          '` at `' +
+          displayPath(jsonPath) +
+          '`, expected the same names',
+        {ruleId: 'exports-names-mismatch', source: 'package-exports'},
+        jsonPath
+      )
+    }
+  }
+}
+
+/**
+ * Check that the ESM files that Node loads with `require` in versions with
+ * `require(esm)` don’t use top-level await,
+ * directly or in the modules they import.
+ *
+ * @param {Readonly<State>} state
+ * @returns {Promise<undefined>}
+ */
+async function checkRequireAsync(state) {
+  const resolveFile = createFileResolver(state)
+  /** @type {Map<string, boolean>} */
+  const cache = new Map()
+  /** @type {Map<string, RawExport>} */
+  const exportsByFile = new Map()
+  /** @type {Set<string>} */
+  const specifiers = new Set()
+
+  for (const export_ of state.exports) {
+    if (!exportsByFile.has(export_.filePath)) {
+      exportsByFile.set(export_.filePath, export_)
+    }
+
+    // Files in a package w/o export map are not entry points.
+    if (export_.specifier !== '.' && export_.jsonPath.length === 0) continue
+    specifiers.add(export_.specifier)
+  }
+
+  for (const specifier of specifiers) {
+    const found = resolveFile(specifier, [
+      'node',
+      'node-addons',
+      'require',
+      'module-sync'
+    ])
+
+    if (!found) continue
+
+    const {filePath, jsonPath} = found
+    const export_ = exportsByFile.get(filePath)
+    assert(export_)
+
+    if (!export_.exists || export_.format !== 'module') continue
+
+    for (const file of await findGraph(state, filePath, false)) {
+      if ((await moduleFormat(state, file)) !== 'module') continue
+
+      let async = cache.get(file)
+
+      if (async === undefined) {
+        async = await hasTopLevelAwait(state, file)
+        cache.set(file, async)
+      }
+
+      if (!async) continue
+
+      message(
+        state,
+        'Unexpected top-level await in `' +
+          file +
+          '`' +
+          (file === filePath ? '' : ', which `' + filePath + '` imports,') +
+          ' for specifier `' +
+          specifier +
+          '` at `' +
+          displayPath(jsonPath) +
+          '` with `require`, which Node can’t load (`ERR_REQUIRE_ASYNC_MODULE`), remove the top-level await, or use a CJS file for `require`',
+        {ruleId: 'exports-require-async', source: 'package-exports'},
+        jsonPath
+      )
+      break
+    }
+  }
+}
+
+/**
+ * Check if an ESM file uses top-level await.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} filePath
+ *   Path to file (example: `'./index.js'`).
+ * @returns {Promise<boolean>}
+ *   Whether the file uses top-level await.
+ */
+async function hasTopLevelAwait(state, filePath) {
+  try {
+    const source = await state.fs.readFile(new URL(filePath, state.packageUrl))
+    return containsAwait(
+      acornParse(source, {ecmaVersion: 'latest', sourceType: 'module'})
+    )
+  } catch {
+    // Not valid JavaScript.
+    return false
+  }
+}
+
+/**
+ * Check if an ESTree node contains `await` outside of functions.
+ *
+ * @param {unknown} value
+ *   Node, list of nodes, or other value.
+ * @returns {boolean}
+ *   Whether `value` contains `await`.
+ */
+function containsAwait(value) {
+  if (Array.isArray(value)) {
+    return /** @type {Array<unknown>} */ (value).some(containsAwait)
+  }
+
+  if (!isRecord(value) || typeof value.type !== 'string') return false
+
+  if (
+    value.type === 'AwaitExpression' ||
+    (value.type === 'ForOfStatement' && value.await === true)
+  ) {
+    return true
+  }
+
+  // `await` in functions is not at the top level.
+  if (
+    value.type === 'ArrowFunctionExpression' ||
+    value.type === 'FunctionDeclaration' ||
+    value.type === 'FunctionExpression'
+  ) {
+    return false
+  }
+
+  return Object.values(value).some(containsAwait)
+}
+
+/**
+ * Check that the files for `import` and `require` of a specifier share
+ * modules,
+ * so that Node loading both does not duplicate state.
+ *
+ * @param {Readonly<State>} state
+ * @returns {Promise<undefined>}
+ */
+async function checkDualPackageHazard(state) {
+  for (const dual of findDualFiles(state)) {
+    const {importFile, jsonPath, requireFile, specifier} = dual
+    const missing = state.exports.some(function (d) {
+      return (
+        (d.filePath === importFile || d.filePath === requireFile) && !d.exists
+      )
+    })
+
+    // Missing files are already reported.
+    if (missing) continue
+
+    const importGraph = await findGraph(state, importFile, true)
+    const requireGraph = await findGraph(state, requireFile, true)
+    const shared = [...importGraph].some(function (d) {
+      return requireGraph.has(d)
+    })
+
+    if (shared) continue
+
+    message(
+      state,
+      'Unexpected separate files `' +
+        importFile +
+        '` with `import` and `' +
+        requireFile +
+        '` with `require` for specifier `' +
+        specifier +
+        '` at `' +
+        displayPath(jsonPath) +
+        '`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share',
+      {ruleId: 'exports-dual-package-hazard', source: 'package-exports'},
+      jsonPath
+    )
+  }
+}
+
+/**
+ * Find the files in the package that a file loads,
+ * directly or indirectly,
+ * with imports or requires of relative paths.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} filePath
+ *   Path to file (example: `'./index.js'`).
+ * @param {boolean} dynamic
+ *   Whether to follow dynamic imports.
+ * @returns {Promise<Set<string>>}
+ *   Paths to files, including `filePath`.
+ */
+async function findGraph(state, filePath, dynamic) {
+  const files = new Set([filePath])
+
+  await esmInit
+
+  // Sets iterate over values added while iterating.
+  for (const file of files) {
+    const format = await moduleFormat(state, file)
+
+    if (!format) continue
+
+    /** @type {Array<string>} */
+    let specifiers
+
+    try {
+      const source = await state.fs.readFile(new URL(file, state.packageUrl))
+      specifiers =
+        format === 'module'
+          ? esmParse(source)[0].flatMap(function (d) {
+              // Static imports have no dynamic import start (`-1`).
+              return d.n && (dynamic || d.d === -1) ? [d.n] : []
+            })
+          : [...source.matchAll(requireExpression)].map(function (d) {
+              return d[2]
+            })
+    } catch {
+      // Not valid JavaScript.
+      continue
+    }
+
+    for (const specifier of specifiers) {
+      const found = resolveRelative(state, file, specifier, format)
+      if (found) files.add(found)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Find the names that a file exposes,
+ * following re-exports of other files in the package.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} filePath
+ *   Path to file (example: `'./index.js'`).
+ * @param {ModuleFormat | undefined} format
+ *   Module format, if JavaScript.
+ * @param {Set<string>} seen
+ *   Files already visited, to not loop forever.
+ * @returns {Promise<ModuleNames>}
+ */
+async function findNames(state, filePath, format, seen) {
+  /** @type {ModuleNames} */
+  const result = {dynamic: false, hasDefault: false, names: new Set()}
+
+  // Cyclical re-exports add nothing new.
+  if (seen.has(filePath)) return result
+  seen.add(filePath)
+
+  const fileUrl = new URL(filePath, state.packageUrl)
+
+  // JSON can only be imported as a whole.
+  if (path.extname(filePath) === '.json') {
+    result.hasDefault = true
+    return result
+  }
+
+  /** @type {Array<string>} */
+  let names
+  /** @type {Array<string>} */
+  let reexports
+
+  try {
+    const source = await state.fs.readFile(fileUrl)
+
+    if (format === 'module') {
+      const info = esmExports(
+        acornParse(source, {ecmaVersion: 'latest', sourceType: 'module'})
+      )
+      names = info.exports
+      reexports = info.reexports
+    } else if (format === 'commonjs') {
+      const info = cjsParse(source)
+      names = info.exports
+      reexports = info.reexports
+      // Node exposes `module.exports` as the default export.
+      result.hasDefault = true
+    } else {
+      // Such as native addons.
+      result.dynamic = true
+      return result
+    }
+  } catch {
+    // Not valid JavaScript.
+    result.dynamic = true
+    return result
+  }
+
+  for (const name of names) {
+    if (name === 'default') {
+      result.hasDefault = true
+    }
+    // `__esModule` marks CJS compiled from ESM, it’s not a binding.
+    else if (name !== '__esModule') {
+      result.names.add(name)
+    }
+  }
+
+  for (const reexport of reexports) {
+    const found = resolveRelative(state, filePath, reexport, format)
+
+    // Other packages, or files not in the package.
+    if (!found) {
+      result.dynamic = true
+      continue
+    }
+
+    const other = await findNames(
+      state,
+      found,
+      await moduleFormat(state, found),
+      seen
+    )
+
+    // Default exports are not re-exported.
+    for (const name of other.names) result.names.add(name)
+    if (other.dynamic) result.dynamic = true
+  }
+
+  return result
+}
+
+/**
+ * Find the names that an ESM program exports,
+ * and the specifiers of `export * from`.
+ *
+ * @param {Readonly<Program>} tree
+ *   Program.
+ * @returns {{exports: Array<string>, reexports: Array<string>}}
+ *   Names and re-exported specifiers.
+ */
+function esmExports(tree) {
+  /** @type {Array<string>} */
+  const exports = []
+  /** @type {Array<string>} */
+  const reexports = []
+
+  for (const node of tree.body) {
+    switch (node.type) {
+      case 'ExportAllDeclaration': {
+        if (node.exported) {
+          exports.push(moduleExportName(node.exported))
+        } else {
+          reexports.push(String(node.source.value))
+        }
+
+        break
+      }
+
+      case 'ExportDefaultDeclaration': {
+        exports.push('default')
+        break
+      }
+
+      case 'ExportNamedDeclaration': {
+        const declaration = node.declaration
+
+        if (declaration && declaration.type === 'VariableDeclaration') {
+          for (const declarator of declaration.declarations) {
+            patternNames(declarator.id, exports)
+          }
+        } else if (declaration) {
+          exports.push(declaration.id.name)
+        }
+
+        for (const specifier of node.specifiers) {
+          exports.push(moduleExportName(specifier.exported))
+        }
+
+        break
+      }
+
+      default:
+    }
+  }
+
+  return {exports, reexports}
+}
+
+/**
+ * Get the name of an identifier or string literal in an export.
+ *
+ * @param {Readonly<Identifier | Literal>} node
+ *   Node.
+ * @returns {string}
+ *   Name.
+ */
+function moduleExportName(node) {
+  return node.type === 'Identifier' ? node.name : String(node.value)
+}
+
+/**
+ * Add the names that a pattern binds (such as `{a, b: [c]}`) to a list.
+ *
+ * @param {Readonly<Pattern>} node
+ *   Pattern.
+ * @param {Array<string>} names
+ *   Names.
+ * @returns {undefined}
+ */
+function patternNames(node, names) {
+  switch (node.type) {
+    case 'ArrayPattern': {
+      for (const element of node.elements) {
+        if (element) patternNames(element, names)
+      }
+
+      break
+    }
+
+    case 'AssignmentPattern': {
+      patternNames(node.left, names)
+      break
+    }
+
+    case 'Identifier': {
+      names.push(node.name)
+      break
+    }
+
+    case 'ObjectPattern': {
+      for (const property of node.properties) {
+        patternNames(
+          property.type === 'RestElement' ? property : property.value,
+          names
+        )
+      }
+
+      break
+    }
+
+    default: {
+      // Member expressions can’t be declared.
+      assert(node.type === 'RestElement')
+      patternNames(node.argument, names)
+    }
+  }
+}
+
+/**
+ * Resolve a relative specifier in a file to another file in the package.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} filePath
+ *   Path to file (example: `'./lib/index.js'`).
+ * @param {string} specifier
+ *   Specifier (example: `'./util.js'`).
+ * @param {ModuleFormat} format
+ *   Module format of file.
+ * @returns {string | undefined}
+ *   Path to other file in the package (example: `'./lib/util.js'`),
+ *   if found.
+ */
+function resolveRelative(state, filePath, specifier, format) {
+  if (!specifier.startsWith('.')) return
+
+  const base = new URL('.', state.packageUrl).href
+  const url = new URL(specifier, new URL(filePath, state.packageUrl)).href
+
+  if (!url.startsWith(base)) return
+
+  const target = './' + url.slice(base.length)
+  // ESM needs the whole path, CJS searches for files.
+  const candidates = [
+    target,
+    ...(format === 'commonjs'
+      ? mainSuffixes.map(function (d) {
+          return target + d
+        })
+      : [])
+  ]
+
+  return candidates.find(function (d) {
+    return state.packagedFiles.includes(d)
+  })
+}
+
+/**
+ * Check that Node resolves every export, through a self-reference,
+ * to the same file as `resolveExport`,
+ * and optionally load it to check that it works.
+ *
+ * @param {Readonly<State>} state
+ * @param {Readonly<URL>} folder
+ *   File URL to folder of the package.
+ * @param {string} name
+ *   Package name.
+ * @param {boolean} verify
+ *   Whether to load exports.
+ * @returns {Promise<undefined>}
+ */
+// eslint-disable-next-line complexity
+async function verifyExports(state, folder, name, verify) {
+  const cwd = fileURLToPath(folder)
+  const resolve = createOrderedResolver(state.exports, state.negatedExports)
+  /** @type {Set<string>} */
+  const seen = new Set()
+
+  for (const export_ of state.exports) {
+    // Missing files are already reported, and declaration files are not for
+    // Node.
+    if (!export_.exists || typeScriptExpression.test(export_.filePath)) {
+      continue
+    }
+
+    const conditions = export_.conditions || []
+    const kind = conditions.includes('require') ? 'require' : 'import'
+    // Node sets its own conditions.
+    const custom = conditions.filter(function (d) {
+      const info = conditionInfo(state, d)
+      return !info || !info.runtimes || !info.runtimes.includes('Node')
+    })
+    // Files for other runtimes (such as `browser`) can be resolved in Node,
+    // but not loaded.
+    const load =
+      verify &&
+      !conditions.some(function (d) {
+        const info = conditionInfo(state, d)
+        return info && info.runtimes && !info.runtimes.includes('Node')
+      })
+    const specifier = name + export_.specifier.slice(1)
+    const key = [specifier, kind, ...custom].join(':')
+
+    if (seen.has(key)) continue
+    seen.add(key)
+
+    const label =
+      '`' +
+      specifier +
+      '` with `' +
+      kind +
+      '`' +
+      (custom.length > 0
+        ? ' and ' +
+          listFormat.format(
+            custom.map(function (d) {
+              return '`' + d + '`'
+            })
+          )
+        : '')
+    /** @type {VerifyError | undefined} */
+    let failure
+    /** @type {string} */
+    let stdout
+
+    try {
+      const output = await execFile(
+        process.execPath,
+        [
+          ...custom.map(function (d) {
+            return '--conditions=' + d
+          }),
+          '--input-type=module',
+          '--eval',
+          verifyScript,
+          specifier,
+          kind,
+          load ? 'load' : 'resolve'
+        ],
+        {cwd, timeout: 10_000}
+      )
+      stdout = output.stdout
+    } catch (error) {
+      const exception =
+        /** @type {import('node:child_process').ExecFileException & {stdout: string}} */ (
+          error
+        )
+      stdout = exception.stdout
+      failure = {
+        message:
+          'Process exited with ' +
+          (exception.signal
+            ? 'signal `' + exception.signal + '`'
+            : 'code `' + exception.code + '`'),
+        name: 'Error'
+      }
+    }
+
+    const resolution = parseVerifyOutput(stdout)
+
+    if (resolution) {
+      if (resolution.error) failure = resolution.error
+
+      const expected = resolve(export_.specifier, [
+        'node',
+        'node-addons',
+        kind,
+        ...custom,
+        ...resolution.conditions
+      ])
+      const expectedUrl = expected.url
+        ? './' + expected.url.slice(folder.href.length)
+        : undefined
+      const jsonPath = expected.jsonPath || export_.jsonPath
+
+      // Not exported in Node, as expected.
+      if (!resolution.url && !expectedUrl) continue
+
+      if (resolution.url !== expectedUrl) {
+        message(
+          state,
+          (resolution.url
+            ? 'Unexpected file `' +
+              resolution.url +
+              '` for ' +
+              label +
+              ' from Node, ' +
+              (expectedUrl
+                ? 'which differs from'
+                : 'while `resolveExport` finds no file')
+            : 'Unexpected failure by Node to resolve ' +
+              label +
+              ', while `resolveExport` finds') +
+            (expectedUrl
+              ? ' `' + expectedUrl + '` at `' + displayPath(jsonPath) + '`'
+              : '') +
+            (resolution.url && expectedUrl ? ' from `resolveExport`' : ''),
+          {ruleId: 'exports-resolve-mismatch', source: 'package-exports'},
+          jsonPath
+        )
+
+        // The load error is the resolve error.
+        if (!resolution.url) continue
+      }
+    } else {
+      // Code in the package exited before the script could print the result.
+      failure ||= {
+        message: 'Process exited before loading finished',
+        name: 'Error'
+      }
+    }
+
+    if (!failure) continue
+
+    message(
+      state,
+      'Unexpected error loading ' +
+        label +
+        ' at `' +
+        displayPath(export_.jsonPath) +
+        '`: ' +
+        failure.name +
+        (failure.code ? ' [' + failure.code + ']' : '') +
+        ': ' +
+        // Show paths relative to the package.
+        failure.message.split('\n')[0].split(cwd).join('./'),
+      {ruleId: 'exports-load-failed', source: 'package-exports'},
+      export_.jsonPath
+    )
+  }
+}
+
+/**
+ * Parse the output of `verifyScript`.
+ *
+ * @param {string} stdout
+ *   Output.
+ * @returns {VerifyResolution | undefined}
+ *   How Node resolves and loads a specifier, if printed.
+ */
+function parseVerifyOutput(stdout) {
+  /** @type {VerifyResolution | undefined} */
+  let resolution
+
+  for (const line of stdout.split('\n')) {
+    if (!line.startsWith(verifyPrefix)) continue
+
+    try {
+      resolution = JSON.parse(line.slice(verifyPrefix.length))
+    } catch {}
+  }
+
+  return resolution
+}
+
+/**
+ * Check that TypeScript finds declarations for every export,
+ * if the package has declarations at all.
+ *
+ * @param {Readonly<State>} state
+ * @param {Readonly<PackageJson>} packageData
+ * @param {boolean} files
+ *   Whether `files` is used in `package.json`.
+ * @returns {Promise<Map<string, Set<string>>>}
+ *   Declaration files that TypeScript finds through `exports`, by specifier.
+ */
+// eslint-disable-next-line complexity
+async function checkDeclarations(state, packageData, files) {
+  /** @type {Map<string, Set<string>>} */
+  const declarations = new Map()
+  const typesField =
+    typeof packageData.types === 'string'
+      ? 'types'
+      : typeof packageData.typings === 'string'
+        ? 'typings'
+        : undefined
+
+  if (
+    !typesField &&
+    !state.exports.some(function (d) {
+      return d.conditions && d.conditions.includes('types')
+    }) &&
+    !state.packagedFiles.some(function (d) {
+      return declarationExpression.test(d)
+    })
+  ) {
+    return declarations
+  }
+
+  const resolveFile = createFileResolver(state)
+  /** @type {Set<string>} */
+  const specifiers = new Set()
+  /** @type {Set<string>} */
+  const seen = new Set()
+  /** @type {Set<string>} */
+  const seenFormats = new Set()
+
+  for (const export_ of state.exports) {
+    // Files in a package w/o export map are not entry points.
+    if (export_.specifier !== '.' && export_.jsonPath.length === 0) continue
+    specifiers.add(export_.specifier)
+  }
+
+  for (const specifier of specifiers) {
+    for (const kind of ['import', 'require']) {
+      const resolved = resolveFile(specifier, ['types', kind, 'node'])
+
+      // Not available in this mode.
+      if (!resolved) continue
+
+      const target = resolved.filePath
+      let jsonPath = resolved.jsonPath
+      /** @type {string | undefined} */
+      let declaration = target
+      let inferred = false
+
+      if (!typeScriptExpression.test(target)) {
+        declaration = inferDeclaration(target)
+        inferred = true
+      }
+
+      // Not JavaScript, such as JSON.
+      if (!declaration) continue
+
+      const mapless = inferred && !('exports' in packageData)
+
+      // TypeScript uses `typesVersions` w/o export map, which is checked
+      // separately.
+      if (mapless && 'typesVersions' in packageData) continue
+
+      // TypeScript only uses `types` w/o export map.
+      if (mapless && typesField) {
+        declaration =
+          './' + String(packageData[typesField]).replace(/^\.\//, '')
+        jsonPath = [typesField]
+        inferred = false
+      }
+
+      addDeclaration(declarations, specifier, declaration)
+
+      // Inferred declaration files have the same format as their JavaScript.
+      if (!inferred) {
+        const script = resolveFile(specifier, [kind, 'node'])
+        const formatKey = declaration + ':' + (script && script.filePath)
+
+        if (script && !seenFormats.has(formatKey)) {
+          seenFormats.add(formatKey)
+          await checkDeclarationFormat(state, {
+            declaration,
+            file: script.filePath,
+            jsonPath,
+            kind,
+            specifier
+          })
+        }
+      }
+
+      // An explicit declaration file, which other rules check.
+      if (declaration === target) continue
+
+      const key = specifier + ':' + declaration
+      if (seen.has(key)) continue
+      seen.add(key)
+
+      if (state.packagedFiles.includes(declaration)) continue
+
+      let exists = true
+
+      try {
+        await state.fs.access(new URL(declaration, state.packageUrl))
+      } catch {
+        exists = false
+      }
+
+      message(
+        state,
+        exists
+          ? 'Unexpected types file `' +
+              declaration +
+              '` for specifier `' +
+              specifier +
+              '` at `' +
+              displayPath(jsonPath) +
+              '` which is excluded from the npm package, ' +
+              (files
+                ? 'add it to `files` in `package.json`'
+                : 'remove it from `.npmignore`')
+          : inferred
+            ? 'Unexpected missing types for specifier `' +
+              specifier +
+              '` at `' +
+              displayPath(jsonPath) +
+              '`, expected `' +
+              declaration +
+              '` next to `' +
+              target +
+              '` or a `types` condition'
+            : 'Unexpected missing types file `' +
+              declaration +
+              '` for specifier `' +
+              specifier +
+              '` at `' +
+              displayPath(jsonPath) +
+              '`',
+        {ruleId: 'exports-types-missing', source: 'package-exports'},
+        jsonPath
+      )
+    }
+  }
+
+  return declarations
+}
+
+/**
+ * Check that TypeScript treats a declaration file as the same module format
+ * (ESM or CJS) as Node treats the JavaScript file it describes.
+ *
+ * @param {Readonly<State>} state
+ * @param {Readonly<DeclarationInfo>} info
+ *   Declaration.
+ * @returns {Promise<undefined>}
+ */
+async function checkDeclarationFormat(state, info) {
+  const [declarationFormat, format] = await Promise.all([
+    moduleFormat(state, info.declaration),
+    moduleFormat(state, info.file)
+  ])
+
+  if (!declarationFormat || !format || declarationFormat === format) return
+
+  message(
+    state,
+    'Unexpected ' +
+      displayFormat(declarationFormat) +
+      ' types file `' +
+      info.declaration +
+      '` for ' +
+      displayFormat(format) +
+      ' file `' +
+      info.file +
+      '` (with `' +
+      info.kind +
+      '`) for specifier `' +
+      info.specifier +
+      '` at `' +
+      displayPath(info.jsonPath) +
+      '`, TypeScript would treat the module as ' +
+      displayFormat(declarationFormat) +
+      ', expected a `' +
+      (format === 'module' ? '.d.mts' : '.d.cts') +
+      '` file',
+    {ruleId: 'exports-types-masquerading', source: 'package-exports'},
+    info.jsonPath
+  )
+}
+
+/**
+ * Create a function that resolves a specifier with conditions to a file in
+ * the package.
+ *
+ * @param {Readonly<State>} state
+ * @returns {(specifier: string, conditions: ReadonlyArray<string>) => {filePath: string, jsonPath: ReadonlyArray<number | string>} | undefined}
+ *   Resolve to the raw path to a file and path in `package.json`, if found.
+ */
+function createFileResolver(state) {
+  const resolve = createOrderedResolver(state.exports, state.negatedExports)
+  /** @type {Map<string, string>} */
+  const filePaths = new Map()
+
+  for (const export_ of state.exports) {
+    if (!filePaths.has(export_.url)) {
+      filePaths.set(export_.url, export_.filePath)
+    }
+  }
+
+  return function (specifier, conditions) {
+    const resolution = resolve(specifier, conditions)
+
+    if (!resolution.url) return
+
+    const filePath = filePaths.get(resolution.url)
+    assert(filePath && resolution.jsonPath)
+    return {filePath, jsonPath: resolution.jsonPath}
+  }
+}
+
+/**
+ * Add a declaration file for a specifier.
+ *
+ * @param {Map<string, Set<string>>} declarations
+ * @param {string} specifier
+ * @param {string} declaration
+ * @returns {undefined}
+ */
+function addDeclaration(declarations, specifier, declaration) {
+  let list = declarations.get(specifier)
+
+  if (!list) {
+    list = new Set()
+    declarations.set(specifier, list)
+  }
+
+  list.add(declaration)
+}
+
+/**
+ * Check `typesVersions`:
+ * that its mappings point to files,
+ * and to the same declaration files that TypeScript finds through `exports`.
+ *
+ * @param {Readonly<State>} state
+ * @param {Readonly<PackageJson>} packageData
+ * @param {ReadonlyMap<string, ReadonlySet<string>>} declarations
+ *   Declaration files that TypeScript finds through `exports`, by specifier.
+ * @returns {undefined}
+ */
+function checkTypesVersions(state, packageData, declarations) {
+  const typesVersions = /** @type {unknown} */ (packageData.typesVersions)
+
+  if (!isRecord(typesVersions)) {
+    message(
+      state,
+      'Unexpected invalid value `' +
+        JSON.stringify(typesVersions) +
+        '` at `typesVersions`, expected object mapping version ranges to paths',
+      {ruleId: 'types-versions-invalid', source: 'package-exports'},
+      ['typesVersions']
+    )
+    return
+  }
+
+  // Without export map, TypeScript maps the main module through the
+  // `types` (or `main`) field.
+  const mainFile = [packageData.types, packageData.typings, packageData.main]
+    .filter(function (d) {
+      return typeof d === 'string'
+    })
+    .concat('index')[0]
+  assert(typeof mainFile === 'string')
+
+  for (const [range, paths] of Object.entries(typesVersions)) {
+    if (!isRecord(paths)) {
+      message(
+        state,
+        'Unexpected invalid value `' +
+          JSON.stringify(paths) +
+          '` at `' +
+          displayPath(['typesVersions', range]) +
+          '`, expected object mapping paths to arrays of paths',
+        {ruleId: 'types-versions-invalid', source: 'package-exports'},
+        ['typesVersions', range]
+      )
+      continue
+    }
+
+    /** @type {Map<string, ReadonlyArray<string>>} */
+    const mappings = new Map()
+
+    for (const [key, targets] of Object.entries(paths)) {
+      if (!isPathList(targets)) {
+        message(
+          state,
+          'Unexpected invalid value `' +
+            JSON.stringify(targets) +
+            '` at `' +
+            displayPath(['typesVersions', range, key]) +
+            '`, expected non-empty array of paths',
+          {ruleId: 'types-versions-invalid', source: 'package-exports'},
+          ['typesVersions', range, key]
+        )
+        continue
+      }
+
+      mappings.set(key, targets)
+      let index = -1
+
+      while (++index < targets.length) {
+        checkTypesVersionsTarget(state, ['typesVersions', range, key, index])
+      }
+    }
+
+    // Versions of TypeScript before 4.7 don’t read `exports`, so ranges for
+    // them can point to other files on purpose.
+    if (
+      !semver.validRange(range) ||
+      !semver.intersects(range, '>=' + exportsTypeScriptVersion)
+    ) {
+      continue
+    }
+
+    for (const [specifier, found] of declarations) {
+      const subpath =
+        specifier === '.'
+          ? mainFile.replace(/^\.\//, '')
+          : specifier.replace(/^\.\//, '')
+      const mapped = mapTypesVersions(state, mappings, subpath)
+
+      if (!mapped || found.has(mapped.declaration)) continue
+
+      message(
+        state,
+        'Unexpected declaration file `' +
+          mapped.declaration +
+          '` for specifier `' +
+          specifier +
+          '` at `' +
+          displayPath(['typesVersions', range, mapped.key]) +
+          '`, which differs from ' +
+          listFormat.format(
+            [...found].map(function (d) {
+              return '`' + d + '`'
+            })
+          ) +
+          ' for it in `exports`, use the same files',
+        {ruleId: 'types-versions-mismatch', source: 'package-exports'},
+        ['typesVersions', range, mapped.key]
+      )
+    }
+  }
+}
+
+/**
+ * Check that a `typesVersions` target points to files in the package.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ *   Path to target in `package.json`.
+ * @returns {undefined}
+ */
+function checkTypesVersionsTarget(state, jsonPath) {
+  const value = /** @type {string} */ (getNodeValue(findNode(state, jsonPath)))
+  const normal = './' + value.replace(/^\.\//, '')
+
+  if (normal.includes('*')) {
+    const minmatch = new Minimatch(normal.split('*').join('**/*'), {
+      dot: true,
+      nobrace: true,
+      noext: true
+    })
+
+    if (
+      !state.packagedFiles.some(function (d) {
+        return minmatch.match(d)
+      })
+    ) {
+      message(
+        state,
+        'Unexpected dynamic file glob `' +
+          value +
+          '` at `' +
+          displayPath(jsonPath) +
+          '` pointing to nothing, expected files',
+        {
+          ruleId: 'types-versions-path-not-found',
+          source: 'package-exports'
+        },
+        jsonPath
+      )
+    }
+
+    return
+  }
+
+  if (!findTypesVersionsFile(state, normal)) {
+    message(
+      state,
+      'Unexpected missing file for path `' +
+        value +
+        '` at `' +
+        displayPath(jsonPath) +
+        '`, expected a declaration file in the npm package',
+      {ruleId: 'types-versions-path-not-found', source: 'package-exports'},
+      jsonPath
+    )
+  }
+}
+
+/**
+ * Map a subpath through `typesVersions` paths, like TypeScript does.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyMap<string, ReadonlyArray<string>>} mappings
+ *   Paths, by key.
+ * @param {string} subpath
+ *   Subpath (example: `'sub'`).
+ * @returns {{declaration: string, key: string} | undefined}
+ *   Declaration file and key that mapped it, if found.
+ */
+function mapTypesVersions(state, mappings, subpath) {
+  /** @type {string | undefined} */
+  let key
+  let replacement = ''
+
+  if (mappings.has(subpath)) {
+    key = subpath
+  } else {
+    // Longest prefix wins.
+    for (const option of mappings.keys()) {
+      const parts = option.split('*')
+
+      if (
+        parts.length !== 2 ||
+        !subpath.startsWith(parts[0]) ||
+        (key !== undefined && parts[0].length <= key.indexOf('*'))
+      ) {
+        continue
+      }
+
+      const replacements = findWildcardReplacements(parts, [subpath])
+
+      if (replacements.length > 0) {
+        key = option
+        replacement = replacements[0]
+      }
+    }
+  }
+
+  if (key === undefined) return
+
+  const targets = mappings.get(key)
+  assert(targets)
+
+  // Alternatives are tried in order.
+  for (const target of targets) {
+    const declaration = findTypesVersionsFile(
+      state,
+      './' + target.replace(/^\.\//, '').replace('*', replacement)
+    )
+
+    if (declaration) return {declaration, key}
+  }
+}
+
+/**
+ * Find the declaration file that TypeScript loads for a path in
+ * `typesVersions`,
+ * trying extensions.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} value
+ *   Path (example: `'./dist/index'`).
+ * @returns {string | undefined}
+ *   Declaration file in the package, if found.
+ */
+function findTypesVersionsFile(state, value) {
+  const declaration = inferDeclaration(value)
+  const options = typeScriptExpression.test(value)
+    ? [value]
+    : declaration
+      ? [declaration]
+      : [value + '.d.ts', value + '/index.d.ts']
+
+  return options.find(function (d) {
+    return state.packagedFiles.includes(d)
+  })
+}
+
+/**
+ * Report a `package.json` that is not a JSON object.
+ *
+ * @param {Readonly<Pick<State, 'file' | 'location' | 'rules' | 'value'>>} state
+ * @param {ReadonlyArray<ParseError>} errors
+ * @param {Readonly<Node> | undefined} tree
+ * @returns {Result}
+ */
+function invalidPackage(state, errors, tree) {
+  /** @type {Set<number>} */
+  const offsets = new Set()
+  /** @type {string | undefined} */
+  let name
+
+  for (const error of errors) {
+    // Several errors can occur at one place, such as for a trailing comma.
+    if (offsets.has(error.offset)) continue
+    offsets.add(error.offset)
+
+    messageAt(
+      state,
+      'Unexpected ' +
+        (error.length > 0
+          ? '`' +
+            state.value.slice(error.offset, error.offset + error.length) +
+            '`'
+          : 'end of file') +
+        ' in JSON, expected ' +
+        parseErrorExpectations[printParseErrorCode(error.error)],
+      {ruleId: 'package-json-invalid', source: 'package-exports'},
+      error
     )
   }
 
-  if ('exports' in packageData) {
-    await resolveExports(
-      state,
-      {
-        conditions: undefined,
-        path: ['exports'],
-        pathOrder: [0],
-        specifier: undefined
-      },
-      /** @type {unknown} */ (packageData.exports)
-    )
+  if (tree) {
+    const packageData = /** @type {unknown} */ (getNodeValue(tree))
 
-    // Remove negated ones.
-    for (const negated of state.negatedExports) {
-      const asteriskIndex = negated.specifier.indexOf('*')
-      const head =
-        asteriskIndex === -1
-          ? negated.specifier
-          : negated.specifier.slice(0, asteriskIndex)
-      const tail =
-        asteriskIndex === -1
-          ? undefined
-          : negated.specifier.slice(asteriskIndex + 1)
-      let found = false
-      let index = -1
+    if (
+      packageData &&
+      typeof packageData === 'object' &&
+      'name' in packageData &&
+      typeof packageData.name === 'string'
+    ) {
+      name = packageData.name
+    }
 
-      while (++index < state.exports.length) {
-        const export_ = state.exports[index]
-
-        if (
-          (tail === undefined
-            ? export_.specifier === head
-            : export_.specifier.startsWith(head) &&
-              export_.specifier.endsWith(tail)) &&
-          (export_.conditions && negated.conditions
-            ? arrayEquivalent(export_.conditions, negated.conditions)
-            : !export_.conditions && !negated.conditions)
-        ) {
-          found = true
-          state.exports.splice(index, 1)
-          index--
-        }
-      }
+    if (tree.type !== 'object') {
+      messageAt(
+        state,
+        'Unexpected non-object value in `package.json`, expected object',
+        {ruleId: 'package-json-invalid', source: 'package-exports'},
+        tree
+      )
+    }
+  }
 
-      // No matches, so useless.
-      // Might also mean that things are available by default, but ignored in a
-      // particular condition.
-      if (!found) {
-        message(
-          state,
-          'Unexpected negation specifier `' +
-            negated.specifier +
-            '` at `' +
-            displayPath(negated.jsonPath) +
-            '` with nothing to negate',
-          {ruleId: 'exports-negated-missing', source: 'package-exports'},
-          negated.jsonPath
-        )
-      }
+  state.file.messages.sort(compareMessage)
+
+  return {
+    exports: [],
+    file: state.file,
+    imports: [],
+    name,
+    negatedExports: []
+  }
+}
+
+/**
+ * Check for duplicate keys in objects.
+ *
+ * `JSON.parse` (and so Node) uses the value of the last duplicate,
+ * in the position of the first.
+ *
+ * @param {Readonly<State>} state
+ * @param {Readonly<Node>} node
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @returns {undefined}
+ */
+function checkDuplicateKeys(state, node, jsonPath) {
+  const children = node.children || []
+
+  if (node.type === 'array') {
+    let index = -1
+
+    while (++index < children.length) {
+      checkDuplicateKeys(state, children[index], [...jsonPath, index])
     }
 
-    // Check for a main specifier.
-    if (
-      !state.exports.some(function (d) {
-        return d.specifier === '.'
-      })
-    ) {
-      message(
+    return
+  }
+
+  /** @type {Map<string, Array<Node>>} */
+  const properties = new Map()
+
+  for (const property of children) {
+    const key = propertyKey(property)
+    let list = properties.get(key)
+
+    if (!list) {
+      list = []
+      properties.set(key, list)
+    }
+
+    list.push(property)
+  }
+
+  for (const [key, list] of properties) {
+    const last = list.at(-1)
+    assert(last)
+    const point = state.location.toPoint(last.offset)
+    assert(point)
+
+    for (const property of list.slice(0, -1)) {
+      messageAt(
         state,
-        'Unexpected missing main specifier `.`, expected an export to the main module',
-        {ruleId: 'exports-main-missing', source: 'package-exports'},
-        []
+        'Unexpected duplicate field `' +
+          displayPath([...jsonPath, key]) +
+          '`, ignored in favor of the last value (at ' +
+          point.line +
+          ':' +
+          point.column +
+          ') which Node uses in the position of the first field, remove duplicates',
+        {ruleId: 'package-json-key-duplicate', source: 'package-exports'},
+        property
       )
     }
 
-    // Check for `"main"` field.
-    if ('main' in packageData) {
-      message(
+    // Overridden values are checked too.
+    for (const property of list) {
+      checkDuplicateKeys(
         state,
-        'Unexpected unused legacy `main` field with modern `exports`, remove it',
-        {ruleId: 'main-extra', source: 'package-exports'},
-        ['main']
+        /** @type {Array<Node>} */ (property.children)[1],
+        [...jsonPath, key]
       )
     }
   }
+}
 
-  if (!('exports' in packageData)) {
-    await Promise.all([
-      resolveMainExport(state, packageData.main, packageData.type),
-      resolvePackagedFiles(state)
-    ])
-  }
+/**
+ * Remove exports (or imports) that are negated.
+ *
+ * @param {State} state
+ * @param {'exports' | 'imports'} field
+ * @returns {undefined}
+ */
+function removeNegated(state, field) {
+  const exports = field === 'exports' ? state.exports : state.imports
+  const negatedExports =
+    field === 'exports' ? state.negatedExports : state.negatedImports
 
-  for (const export_ of state.exports) {
-    if (export_.exists && !state.packagedFiles.includes(export_.filePath)) {
+  for (const negated of negatedExports) {
+    const asteriskIndex = negated.specifier.indexOf('*')
+    const head =
+      asteriskIndex === -1
+        ? negated.specifier
+        : negated.specifier.slice(0, asteriskIndex)
+    const tail =
+      asteriskIndex === -1
+        ? undefined
+        : negated.specifier.slice(asteriskIndex + 1)
+    let found = false
+    let index = -1
+
+    while (++index < exports.length) {
+      const export_ = exports[index]
+
+      if (
+        (tail === undefined
+          ? export_.specifier === head
+          : export_.specifier.startsWith(head) &&
+            export_.specifier.endsWith(tail)) &&
+        (export_.conditions && negated.conditions
+          ? arrayEquivalent(export_.conditions, negated.conditions)
+          : !export_.conditions && !negated.conditions)
+      ) {
+        found = true
+        exports.splice(index, 1)
+        index--
+      }
+    }
+
+    // No matches, so useless.
+    // Might also mean that things are available by default, but ignored in a
+    // particular condition.
+    if (!found) {
       message(
         state,
-        'Unexpected file `' +
-          export_.filePath +
+        'Unexpected negation specifier `' +
+          negated.specifier +
           '` at `' +
-          displayPath(export_.jsonPath) +
-          '` which is excluded from the npm package, ' +
-          (files
-            ? 'add it to `files` in `package.json`'
-            : 'remove it from `.npmignore`'),
-        {ruleId: 'npm-ignored', source: 'package-exports'},
-        export_.jsonPath
+          displayPath(negated.jsonPath) +
+          '` with nothing to negate',
+        {ruleId: field + '-negated-missing', source: 'package-exports'},
+        negated.jsonPath
       )
     }
   }
-
-  state.exports.sort(compareExport)
-  file.messages.sort(compareMessage)
-
-  return {exports: state.exports.map(rawExportToExport), file, name}
 }
 
 /**
@@ -403,7 +2319,11 @@ function resolveExportsList(state, info, exportsValue) {
       'Unexpected empty array at `' +
         displayPath(info.path) +
         '` doing nothing, expected a single item',
-      {ruleId: 'exports-alternatives-empty', source: 'package-exports'},
+      {
+        fix: removable(info.path) ? fixRemove(state, info.path) : undefined,
+        ruleId: info.field + '-alternatives-empty',
+        source: 'package-exports'
+      },
       info.path
     )
 
@@ -416,7 +2336,15 @@ function resolveExportsList(state, info, exportsValue) {
     'Unexpected alternatives list at `' +
       displayPath(info.path) +
       '`, several tools don’t support this and pick the first item',
-    {ruleId: 'exports-alternatives', source: 'package-exports'},
+    {
+      fix: fixReplace(
+        state,
+        info.path,
+        nodeSource(state, [...info.path, 0], info.path)
+      ),
+      ruleId: info.field + '-alternatives',
+      source: 'package-exports'
+    },
     info.path
   )
 
@@ -424,6 +2352,7 @@ function resolveExportsList(state, info, exportsValue) {
     state,
     {
       conditions: info.conditions,
+      field: info.field,
       path: [...info.path, 0],
       pathOrder: [...info.pathOrder, 0],
       specifier: info.specifier
@@ -442,12 +2371,13 @@ function resolveExportsList(state, info, exportsValue) {
  */
 function resolveExportsObject(state, info, exportsValue) {
   const keys = Object.keys(exportsValue)
+  const prefix = info.field === 'exports' ? '.' : '#'
   /** @type {boolean | undefined} */
   let dots
   let mixed = false
 
   for (const key of keys) {
-    const dot = key.startsWith('.')
+    const dot = key.startsWith(prefix)
     if (dots === undefined) {
       dots = dot
     } else if (dots !== dot) {
@@ -462,21 +2392,34 @@ function resolveExportsObject(state, info, exportsValue) {
       'Unexpected empty object at `' +
         displayPath(info.path) +
         '` doing nothing, expected fields',
-      {ruleId: 'exports-object-empty', source: 'package-exports'},
+      {
+        fix: removable(info.path) ? fixRemove(state, info.path) : undefined,
+        ruleId: info.field + '-object-empty',
+        source: 'package-exports'
+      },
       info.path
     )
 
     return
   }
 
+  // Imports must be specifiers, which is checked for each key.
+  if (info.field === 'imports' && !info.specifier) {
+    return resolveExportsSpecifiers(state, info, exportsValue)
+  }
+
   // Mixed, which is invalid.
   if (mixed) {
     message(
       state,
-      'Unexpected mixed specifiers (starting with `.`) and conditions (without `.`) at `' +
+      'Unexpected mixed specifiers (starting with `' +
+        prefix +
+        '`) and conditions (without `' +
+        prefix +
+        '`) at `' +
         displayPath(info.path) +
         '`, expected either specifiers or conditions',
-      {ruleId: 'exports-object-mixed', source: 'package-exports'},
+      {ruleId: info.field + '-object-mixed', source: 'package-exports'},
       info.path
     )
 
@@ -498,7 +2441,7 @@ function resolveExportsObject(state, info, exportsValue) {
         ' at `' +
         displayPath(info.path) +
         '`, expected conditions',
-      {ruleId: 'exports-specifier-nested', source: 'package-exports'},
+      {ruleId: info.field + '-specifier-nested', source: 'package-exports'},
       info.path
     )
 
@@ -511,6 +2454,246 @@ function resolveExportsObject(state, info, exportsValue) {
     : resolveExportsConditions(state, info, exportsValue)
 }
 
+/**
+ * Check that a condition is known,
+ * or not similar to a known condition.
+ *
+ * @param {Readonly<State>} state
+ *   Info passed around.
+ * @param {Info} info
+ *   Info.
+ * @param {ReadonlyArray<string>} keys
+ *   Conditions in the object.
+ * @param {number} index
+ *   Index of condition to check.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function checkConditionKnown(state, info, keys, index) {
+  const condition = keys[index]
+
+  if (
+    conditionInfo(state, condition) ||
+    state.customConditions.includes(condition)
+  ) {
+    return
+  }
+
+  // Allow about one typo per four characters.
+  let maximum = Math.floor(condition.length / 4)
+  /** @type {string | undefined} */
+  let expected
+
+  for (const known of Object.keys(state.conditions)) {
+    const distance = editDistance(condition, known)
+
+    if (distance <= maximum) {
+      expected = known
+      maximum = distance - 1
+    }
+  }
+
+  if (!expected) return
+
+  message(
+    state,
+    'Unexpected unknown condition `' +
+      condition +
+      '` at `' +
+      displayPath(info.path) +
+      '` which never matches, did you mean `' +
+      expected +
+      '`',
+    {
+      fix: keys.includes(expected)
+        ? undefined
+        : fixRename(state, [...info.path, condition], expected),
+      ruleId: info.field + '-condition-unknown',
+      source: 'package-exports'
+    },
+    [...info.path, condition]
+  )
+}
+
+/**
+ * Check that a condition is reachable:
+ * that not all conditions that are always set along with it come before it
+ * with values that always end resolution.
+ *
+ * @param {Readonly<State>} state
+ *   Info passed around.
+ * @param {Info} info
+ *   Info.
+ * @param {Readonly<Record<string, unknown>>} exportsValue
+ *   Conditions object.
+ * @param {number} index
+ *   Index of condition to check.
+ * @returns {boolean}
+ *   Whether the condition is unreachable.
+ */
+function checkReachable(state, info, exportsValue, index) {
+  const keys = Object.keys(exportsValue)
+  const condition = keys[index]
+  const implied = state.impliedConditions[condition]
+
+  if (
+    !implied ||
+    implied.length === 0 ||
+    !implied.every(function (d) {
+      const position = keys.indexOf(d)
+      return (
+        position !== -1 &&
+        position < index &&
+        endsResolution(state, exportsValue[d])
+      )
+    })
+  ) {
+    return false
+  }
+
+  const first = keys.find(function (d) {
+    return implied.includes(d)
+  })
+  assert(first)
+
+  message(
+    state,
+    'Unexpected unreachable condition `' +
+      condition +
+      '` at `' +
+      displayPath(info.path) +
+      '` after ' +
+      listFormat.format(
+        implied.map(function (d) {
+          return '`' + d + '`'
+        })
+      ) +
+      (implied.length === 1 ? ', which is' : ', one of which is') +
+      ' always set when `' +
+      condition +
+      '` is, move `' +
+      condition +
+      '` before `' +
+      first +
+      '`',
+    {
+      fix: [
+        ...fixRemove(state, [...info.path, condition]),
+        ...fixInsert(
+          state,
+          info.path,
+          keys.indexOf(first),
+          JSON.stringify(condition) +
+            ': ' +
+            nodeSource(state, [...info.path, condition], [...info.path, first])
+        )
+      ],
+      ruleId: info.field + '-conditions-unreachable',
+      source: 'package-exports'
+    },
+    [...info.path, condition]
+  )
+
+  return true
+}
+
+/**
+ * Check that a condition that must be first (such as `types`) comes before
+ * other conditions that its runtimes would match first.
+ *
+ * @param {Readonly<State>} state
+ *   Info passed around.
+ * @param {Info} info
+ *   Info.
+ * @param {ReadonlyArray<string>} keys
+ *   Conditions in the object.
+ * @param {number} index
+ *   Index of the condition.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function checkFirst(state, info, keys, index) {
+  const condition = keys[index]
+  const runtimes =
+    /** @type {ConditionInfo} */ (conditionInfo(state, condition)).runtimes ||
+    []
+  /** @type {Set<string>} */
+  const shared = new Set()
+  const before = keys.slice(0, index).filter(function (d) {
+    const other = conditionInfo(state, d)
+    let found = false
+
+    for (const runtime of (other && other.runtimes) || []) {
+      if (runtimes.includes(runtime)) {
+        shared.add(runtime)
+        found = true
+      }
+    }
+
+    return found
+  })
+
+  if (before.length === 0) return
+
+  message(
+    state,
+    'Unexpected `' +
+      condition +
+      '` condition at `' +
+      displayPath(info.path) +
+      '` after ' +
+      listFormat.format(
+        before.map(function (d) {
+          return '`' + d + '`'
+        })
+      ) +
+      ', which ' +
+      listFormat.format(shared) +
+      (shared.size === 1 ? ' matches' : ' match') +
+      ' first, move `' +
+      condition +
+      '` to the start',
+    {
+      fix: [
+        ...fixRemove(state, [...info.path, condition]),
+        ...fixInsert(
+          state,
+          info.path,
+          0,
+          JSON.stringify(condition) +
+            ': ' +
+            nodeSource(
+              state,
+              [...info.path, condition],
+              [...info.path, keys[0]]
+            )
+        )
+      ],
+      ruleId:
+        info.field +
+        (condition === 'types' ? '-types-misplaced' : '-condition-misplaced'),
+      source: 'package-exports'
+    },
+    [...info.path, condition]
+  )
+}
+
+/**
+ * Get info about a condition.
+ *
+ * @param {Readonly<State>} state
+ *   Info passed around.
+ * @param {string} condition
+ *   Condition.
+ * @returns {Readonly<ConditionInfo> | undefined}
+ *   Info, if known.
+ */
+function conditionInfo(state, condition) {
+  return Object.hasOwn(state.conditions, condition)
+    ? state.conditions[condition]
+    : undefined
+}
+
 /**
  * @param {Readonly<State>} state
  * @param {Info} info
@@ -532,43 +2715,44 @@ async function resolveExportsConditions(state, info, exportsValue) {
       'Unexpected verbose conditions object with sole key `default` at `' +
         displayPath(info.path) +
         '`, replace the object with the value at `default`',
-      {ruleId: 'exports-conditions-verbose', source: 'package-exports'},
+      {
+        fix: fixReplace(
+          state,
+          info.path,
+          nodeSource(state, [...info.path, 'default'], info.path)
+        ),
+        ruleId: info.field + '-conditions-verbose',
+        source: 'package-exports'
+      },
       info.path
     )
   }
 
-  // `(.+).cjs` → `$1.d.cts`
-  // `(.+).js`→`$1.d.ts`
-  // `(.+).mjs` → `$1.d.mts`
   if (
     keys.includes('default') &&
     keys.includes('types') &&
     typeof exportsValue.default === 'string' &&
-    typeof exportsValue.types === 'string'
+    typeof exportsValue.types === 'string' &&
+    exportsValue.types === inferDeclaration(exportsValue.default)
   ) {
-    const parts = exportsValue.default.split('.')
-    const extname = parts.pop()
-
-    if (
-      (extname === 'js' || extname === 'cjs' || extname === 'mjs') &&
-      exportsValue.types ===
-        [...parts, 'd', extname.replace('j', 't')].join('.')
-    ) {
-      message(
-        state,
-        'Unexpected verbose `types` condition at `' +
-          displayPath(info.path) +
-          '` matching what TypeScript would load for `default` without it, remove it',
-        {ruleId: 'exports-types-verbose', source: 'package-exports'},
-        [...info.path, 'types']
-      )
-    }
+    message(
+      state,
+      'Unexpected verbose `types` condition at `' +
+        displayPath(info.path) +
+        '` matching what TypeScript would load for `default` without it, remove it',
+      {
+        fix: fixRemove(state, [...info.path, 'types']),
+        ruleId: info.field + '-types-verbose',
+        source: 'package-exports'
+      },
+      [...info.path, 'types']
+    )
   }
 
   let index = 0
 
   for (const condition of keys) {
-    for (const exclusive of mutuallyExclusiveConditions) {
+    for (const exclusive of state.exclusiveGroups) {
       if (!info.conditions || !exclusive.conditions.includes(condition)) {
         continue
       }
@@ -588,7 +2772,7 @@ async function resolveExportsConditions(state, info, exportsValue) {
             displayPath(info.path) +
             '` which never matches, use only one of these conditions',
           {
-            ruleId: 'exports-conditions-mutually-exclusive',
+            ruleId: info.field + '-conditions-mutually-exclusive',
             source: 'package-exports'
           },
           [...info.path, condition]
@@ -599,6 +2783,18 @@ async function resolveExportsConditions(state, info, exportsValue) {
       }
     }
 
+    checkConditionKnown(state, info, keys, index)
+
+    // A `default` before it is already a problem.
+    const unreachable =
+      !hasDefault && checkReachable(state, info, exportsValue, index)
+
+    const conditionFirst = conditionInfo(state, condition)
+
+    if (conditionFirst && conditionFirst.first && !unreachable) {
+      checkFirst(state, info, keys, index)
+    }
+
     tasks.push(
       resolveExports(
         state,
@@ -606,6 +2802,7 @@ async function resolveExportsConditions(state, info, exportsValue) {
           conditions: info.conditions
             ? [...info.conditions, condition]
             : [condition],
+          field: info.field,
           path: [...info.path, condition],
           pathOrder: [...info.pathOrder, index],
           specifier: info.specifier
@@ -624,7 +2821,7 @@ async function resolveExportsConditions(state, info, exportsValue) {
 
   let exhaustive = false
 
-  for (const exclusive of mutuallyExclusiveConditions) {
+  for (const exclusive of state.exclusiveGroups) {
     if (
       exclusive.exhaustive &&
       // No `default` is needed if `require` and `import` are used.
@@ -647,7 +2844,21 @@ async function resolveExportsConditions(state, info, exportsValue) {
           displayPath(info.path) +
           '` ignoring everything after it, move the `default` condition to the end',
         {
-          ruleId: 'exports-conditions-default-misplaced',
+          fix: [
+            ...fixRemove(state, [...info.path, 'default']),
+            ...fixInsert(
+              state,
+              info.path,
+              Number.POSITIVE_INFINITY,
+              '"default": ' +
+                nodeSource(
+                  state,
+                  [...info.path, 'default'],
+                  [...info.path, last]
+                )
+            )
+          ],
+          ruleId: info.field + '-conditions-default-misplaced',
           source: 'package-exports'
         },
         [...info.path, last]
@@ -661,7 +2872,10 @@ async function resolveExportsConditions(state, info, exportsValue) {
         '` making specifier `' +
         (info.specifier || '.') +
         "` unusable by default, expected `'default'` condition as the last field",
-      {ruleId: 'exports-conditions-default-missing', source: 'package-exports'},
+      {
+        ruleId: info.field + '-conditions-default-missing',
+        source: 'package-exports'
+      },
       info.path
     )
   }
@@ -680,25 +2894,78 @@ async function resolveExportsSpecifiers(state, info, exportsValue) {
   /** @type {Array<Promise<undefined> | undefined>} */
   const tasks = []
 
-  if (keys.length === 1 && keys[0] === '.') {
+  if (info.field === 'exports' && keys.length === 1 && keys[0] === '.') {
     message(
       state,
       'Unexpected verbose specifier object with sole key `.` at `' +
         displayPath(info.path) +
         '`, replace the object with the value at `.`',
-      {ruleId: 'exports-specifiers-verbose', source: 'package-exports'},
+      {
+        fix: fixReplace(
+          state,
+          info.path,
+          nodeSource(state, [...info.path, '.'], info.path)
+        ),
+        ruleId: 'exports-specifiers-verbose',
+        source: 'package-exports'
+      },
       info.path
     )
   }
 
-  let index = 0
+  let index = -1
+
+  while (++index < keys.length) {
+    const specifier = keys[index]
+
+    if (info.field === 'imports') {
+      if (!specifier.startsWith('#')) {
+        const expected = '#' + specifier.replace(/^\.?\/?/, '')
+
+        message(
+          state,
+          'Unexpected specifier `' +
+            specifier +
+            '` at `' +
+            displayPath(info.path) +
+            '` not starting with `#`, expected `' +
+            expected +
+            '`',
+          {
+            fix:
+              expected === '#' ||
+              expected.startsWith('#/') ||
+              keys.includes(expected)
+                ? undefined
+                : fixRename(state, [...info.path, specifier], expected),
+            ruleId: 'imports-specifier-unprefixed',
+            source: 'package-exports'
+          },
+          [...info.path, specifier]
+        )
+        continue
+      }
+
+      if (specifier === '#' || specifier.startsWith('#/')) {
+        message(
+          state,
+          'Unexpected specifier `' +
+            specifier +
+            '` at `' +
+            displayPath(info.path) +
+            '` which is reserved, expected a name after `#`',
+          {ruleId: 'imports-specifier-invalid', source: 'package-exports'},
+          [...info.path, specifier]
+        )
+        continue
+      }
+    }
 
-  for (const specifier of keys) {
     // Warn for extensions.
     const parts = specifier.split('.')
     const extension = parts.pop()
 
-    if (extension && !extension.includes('/')) {
+    if (parts.length > 0 && extension && !extension.includes('/')) {
       const rest = parts.join('.')
       message(
         state,
@@ -710,7 +2977,10 @@ async function resolveExportsSpecifiers(state, info, exportsValue) {
           displayPath(info.path) +
           '`, extensions have no meaning in specifiers' +
           (keys.includes(rest) ? ', remove it' : ', expected `' + rest + '`'),
-        {ruleId: 'exports-specifier-extension', source: 'package-exports'},
+        {
+          ruleId: info.field + '-specifier-extension',
+          source: 'package-exports'
+        },
         info.path
       )
     }
@@ -720,6 +2990,7 @@ async function resolveExportsSpecifiers(state, info, exportsValue) {
         state,
         {
           conditions: info.conditions,
+          field: info.field,
           path: [...info.path, specifier],
           pathOrder: [...info.pathOrder, index],
           specifier
@@ -727,8 +2998,6 @@ async function resolveExportsSpecifiers(state, info, exportsValue) {
         exportsValue[specifier]
       )
     )
-
-    index++
   }
 
   await Promise.all(tasks)
@@ -754,28 +3023,60 @@ function addValue(state, info, exportsValue) {
         '` which is not importable, expected ' +
         (info.specifier ? '' : 'specifier object, ') +
         'conditions object, `string` (path to file), or `null` (negated)',
-      {ruleId: 'exports-value-invalid', source: 'package-exports'},
+      {ruleId: info.field + '-value-invalid', source: 'package-exports'},
       info.path
     )
     return
   }
 
-  if (typeof exportsValue === 'string' && !exportsValue.startsWith('./')) {
+  if (
+    info.field === 'imports' &&
+    typeof exportsValue === 'string' &&
+    (exportsValue.startsWith('/') || exportsValue.split('/').includes('..'))
+  ) {
     message(
       state,
-      "Unexpected unprefixed value `'" +
+      "Unexpected path `'" +
         exportsValue +
         "'` at `" +
         displayPath(info.path) +
-        "` which is not importable, did you mean `'./" +
-        exportsValue +
-        "'`",
-      {ruleId: 'exports-path-unprefixed', source: 'package-exports'},
+        '` which escapes the package, expected a relative path (starting with `./`) inside it, or a package name',
+      {ruleId: 'imports-path-escaping', source: 'package-exports'},
       info.path
     )
     return
   }
 
+  if (typeof exportsValue === 'string' && !exportsValue.startsWith('./')) {
+    // Imports can map to other packages.
+    if (info.field === 'imports') {
+      checkImportsPackage(state, info, exportsValue)
+    } else {
+      message(
+        state,
+        "Unexpected unprefixed value `'" +
+          exportsValue +
+          "'` at `" +
+          displayPath(info.path) +
+          "` which is not importable, did you mean `'./" +
+          exportsValue +
+          "'`",
+        {
+          fix: fixReplace(
+            state,
+            info.path,
+            JSON.stringify('./' + exportsValue)
+          ),
+          ruleId: 'exports-path-unprefixed',
+          source: 'package-exports'
+        },
+        info.path
+      )
+    }
+
+    return
+  }
+
   const specifier = info.specifier || '.'
   const specifierAsterisk = specifier.indexOf('*')
 
@@ -802,7 +3103,10 @@ function addValue(state, info, exportsValue) {
         '` at `' +
         displayPath(info.path) +
         '`, one wildcard is allowed',
-      {ruleId: 'exports-specifier-wildcard-invalid', source: 'package-exports'},
+      {
+        ruleId: info.field + '-specifier-wildcard-invalid',
+        source: 'package-exports'
+      },
       info.path
     )
 
@@ -822,7 +3126,10 @@ function addValue(state, info, exportsValue) {
         '` at `' +
         displayPath(info.path) +
         '`, use dynamic specifiers with dynamic file globs',
-      {ruleId: 'exports-specifier-wildcard-useless', source: 'package-exports'},
+      {
+        ruleId: info.field + '-specifier-wildcard-useless',
+        source: 'package-exports'
+      },
       info.path
     )
 
@@ -847,6 +3154,56 @@ function addValue(state, info, exportsValue) {
   )
 }
 
+/**
+ * Check a package that an import maps to.
+ *
+ * @param {Readonly<State>} state
+ * @param {Info} info
+ * @param {string} value
+ * @returns {undefined}
+ */
+function checkImportsPackage(state, info, value) {
+  if (URL.canParse(value)) {
+    message(
+      state,
+      "Unexpected URL `'" +
+        value +
+        "'` at `" +
+        displayPath(info.path) +
+        '` which is not importable, expected a relative path (starting with `./`) or a package name',
+      {
+        fix:
+          value.startsWith('node:') && builtinModules.includes(value.slice(5))
+            ? fixReplace(state, info.path, JSON.stringify(value.slice(5)))
+            : undefined,
+        ruleId: 'imports-path-url',
+        source: 'package-exports'
+      },
+      info.path
+    )
+    return
+  }
+
+  const slashIndex = value.indexOf(
+    '/',
+    value.startsWith('@') ? value.indexOf('/') + 1 : 0
+  )
+  const name = slashIndex === -1 ? value : value.slice(0, slashIndex)
+
+  if (!builtinModules.includes(name) && !state.dependencies.includes(name)) {
+    message(
+      state,
+      'Unexpected package `' +
+        name +
+        '` at `' +
+        displayPath(info.path) +
+        '` which is not a dependency, add it to `dependencies` in `package.json`',
+      {ruleId: 'imports-package-undeclared', source: 'package-exports'},
+      info.path
+    )
+  }
+}
+
 /**
  * @param {State} state
  * @param {unknown} main
@@ -873,7 +3230,14 @@ async function resolveMainExport(state, main, type) {
         'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "' +
           mainFound +
           '"`',
-        {ruleId: 'main', source: 'package-exports'},
+        {
+          fix: [
+            ...fixRename(state, ['main'], 'exports'),
+            ...fixReplace(state, ['main'], JSON.stringify(mainFound))
+          ],
+          ruleId: 'main',
+          source: 'package-exports'
+        },
         ['main']
       )
     }
@@ -911,7 +3275,11 @@ async function resolveMainExport(state, main, type) {
               '` that resolves to `' +
               mainFound +
               "` in CJS, this works but is slow and doesn’t work with `type: 'module', use the resolved value explicitly",
-            {ruleId: 'main-resolve-commonjs', source: 'package-exports'},
+            {
+              fix: fixReplace(state, ['main'], JSON.stringify(mainFound)),
+              ruleId: 'main-resolve-commonjs',
+              source: 'package-exports'
+            },
             ['main']
           )
         }
@@ -946,6 +3314,7 @@ async function resolveMainExport(state, main, type) {
         conditions: undefined,
         definitelyExists: true,
         explicitlyDefined: true,
+        field: 'exports',
         path: ['main'],
         pathOrder: [0],
         specifier: undefined
@@ -971,7 +3340,16 @@ async function resolveMainExport(state, main, type) {
         '`, it’s recommended to use an export map such as `"exports": "' +
         mainFound +
         '"`',
-      {ruleId: 'main-inferred', source: 'package-exports'},
+      {
+        fix: fixInsert(
+          state,
+          [],
+          insertionIndex(state, [], 'exports'),
+          '"exports": ' + JSON.stringify(mainFound)
+        ),
+        ruleId: 'main-inferred',
+        source: 'package-exports'
+      },
       []
     )
 
@@ -981,6 +3359,7 @@ async function resolveMainExport(state, main, type) {
         conditions: undefined,
         definitelyExists: true,
         explicitlyDefined: false,
+        field: 'exports',
         path: [],
         pathOrder: [],
         specifier: undefined
@@ -1016,6 +3395,7 @@ async function resolvePackagedFiles(state) {
           conditions: undefined,
           definitelyExists: true,
           explicitlyDefined: false,
+          field: 'exports',
           path: [],
           pathOrder: [],
           specifier: file
@@ -1056,7 +3436,10 @@ async function addDynamic(state, info, specifier, valueParts) {
         '` at `' +
         displayPath(info.path) +
         '` pointing to nothing, expected files',
-      {ruleId: 'exports-path-wildcard-not-found', source: 'package-exports'},
+      {
+        ruleId: info.field + '-path-wildcard-not-found',
+        source: 'package-exports'
+      },
       info.path
     )
 
@@ -1087,11 +3470,14 @@ async function addDynamic(state, info, specifier, valueParts) {
  * @param {AddInfo} info
  * @param {string} specifier
  * @param {string | null} value
- * @returns {Promise<undefined> | undefined}
+ * @returns {Promise<undefined>}
  */
-function addResolved(state, info, specifier, value) {
+async function addResolved(state, info, specifier, value) {
   if (value === null) {
-    state.negatedExports.push({
+    const negatedExports =
+      info.field === 'exports' ? state.negatedExports : state.negatedImports
+
+    negatedExports.push({
       conditions: info.conditions,
       jsonPath: [...info.path],
       jsonPathOrder: [...info.pathOrder],
@@ -1105,6 +3491,7 @@ function addResolved(state, info, specifier, value) {
     conditions: info.conditions,
     exists: false,
     filePath: value,
+    format: undefined,
     globbed: !info.explicitlyDefined,
     jsonPath: [...info.path],
     jsonPathOrder: [...info.pathOrder],
@@ -1112,25 +3499,33 @@ function addResolved(state, info, specifier, value) {
     url: new URL(value, state.packageUrl).href
   }
 
-  state.exports.push(export_)
+  const exports = info.field === 'exports' ? state.exports : state.imports
+
+  exports.push(export_)
+
+  // Declaration files are for TypeScript, not Node.
+  if (!typeScriptExpression.test(value)) {
+    export_.format = await moduleFormat(state, value)
+  }
 
   if (info.definitelyExists || state.packagedFiles.includes(value)) {
     export_.exists = true
     return
   }
 
-  return checkExists(state, export_)
+  return checkExists(state, info.field, export_)
 }
 
 /**
  *
  * @param {State} state
+ * @param {'exports' | 'imports'} field
  * @param {RawExport} export_
  * @returns {Promise<undefined>}
  */
-async function checkExists(state, export_) {
+async function checkExists(state, field, export_) {
   try {
-    await fs.access(new URL(export_.url), fs.constants.F_OK)
+    await state.fs.access(new URL(export_.url))
     export_.exists = true
   } catch (error) {
     export_.exists = false
@@ -1144,7 +3539,7 @@ async function checkExists(state, export_) {
         '` at `' +
         displayPath(export_.jsonPath) +
         '`',
-      {cause, ruleId: 'exports-path-not-found', source: 'package-exports'},
+      {cause, ruleId: field + '-path-not-found', source: 'package-exports'},
       export_.jsonPath
     )
   }
@@ -1197,28 +3592,398 @@ function findWildcardReplacements(parts, filePaths) {
   return results
 }
 
+/**
+ * Get the module format that Node (for JavaScript) or TypeScript (for
+ * declaration files) uses for a file,
+ * from its extension and the `type` field of the closest `package.json`.
+ *
+ * @param {Readonly<State>} state
+ * @param {string} filePath
+ *   Path to file (example: `'./index.js'`).
+ * @returns {Promise<ModuleFormat | undefined>}
+ *   Module format, if `filePath` is JavaScript or TypeScript.
+ */
+async function moduleFormat(state, filePath) {
+  const match = /\.([cm]?)[jt]s$/.exec(filePath)
+
+  if (!match) return
+
+  if (match[1]) return match[1] === 'm' ? 'module' : 'commonjs'
+
+  const segments = filePath.split('/').slice(1, -1)
+
+  // Nested `package.json` files (such as `dist/esm/package.json`) apply to
+  // the files in their folder.
+  while (segments.length > 0) {
+    const packagePath = './' + segments.join('/') + '/package.json'
+
+    if (state.packagedFiles.includes(packagePath)) {
+      /** @type {unknown} */
+      let value
+
+      try {
+        value = JSON.parse(
+          await state.fs.readFile(new URL(packagePath, state.packageUrl))
+        )
+      } catch {}
+
+      return isRecord(value) && value.type === 'module' ? 'module' : 'commonjs'
+    }
+
+    segments.pop()
+  }
+
+  return state.type
+}
+
+/**
+ * Display a module format.
+ *
+ * @param {ModuleFormat} format
+ * @returns {string}
+ */
+function displayFormat(format) {
+  return format === 'module' ? 'ESM' : 'CJS'
+}
+
+/**
+ * Get the declaration file TypeScript looks for next to a JavaScript file.
+ *
+ * @param {string} value
+ *   Path to JavaScript file (example: `'./index.js'`).
+ * @returns {string | undefined}
+ *   Path to declaration file (example: `'./index.d.ts'`),
+ *   if `value` is JavaScript.
+ */
+function inferDeclaration(value) {
+  // `(.+).cjs` → `$1.d.cts`
+  // `(.+).js`→`$1.d.ts`
+  // `(.+).mjs` → `$1.d.mts`
+  const parts = value.split('.')
+  const extname = parts.pop()
+
+  if (extname === 'js' || extname === 'cjs' || extname === 'mjs') {
+    return [...parts, 'd', extname.replace('j', 't')].join('.')
+  }
+}
+
 /**
  * Emit a message.
  *
  * @param {Readonly<State>} state
  * @param {string} reason
- * @param {Options} options
+ * @param {MessageOptions & {fix?: Array<Edit> | undefined}} options
  * @param {ReadonlyArray<number | string>} jsonPath
  */
 function message(state, reason, options, jsonPath) {
-  const node =
-    jsonPath.length > 0
-      ? findNodeAtLocation(state.tree, [...jsonPath])
-      : state.tree
-
-  assert(node)
-  const start = state.location.toPoint(node.offset)
-  const end = state.location.toPoint(node.offset + node.length)
+  messageAt(state, reason, options, findNode(state, jsonPath))
+}
+
+/**
+ * Emit a message at a range.
+ *
+ * @param {Readonly<Pick<State, 'file' | 'location' | 'rules'>>} state
+ * @param {string} reason
+ * @param {MessageOptions & {fix?: Array<Edit> | undefined}} options
+ * @param {Readonly<{length: number, offset: number}>} range
+ */
+function messageAt(state, reason, options, range) {
+  const severity =
+    state.rules[String(options.ruleId)] ||
+    defaultSeverities[String(options.ruleId)] ||
+    'warn'
+
+  if (severity === 'off') return
+
+  const {fix, ...rest} = options
+  const start = state.location.toPoint(range.offset)
+  const end = state.location.toPoint(range.offset + range.length)
   assert(start)
   assert(end)
   const place = {start, end}
 
-  state.file.message(reason, {place, ...options})
+  const result = /** @type {Message} */ (
+    state.file.message(reason, {place, ...rest})
+  )
+
+  if (severity === 'error') result.fatal = true
+  if (severity === 'info') result.fatal = undefined
+  if (fix) result.fix = fix
+}
+
+/**
+ * Find a node.
+ *
+ * Like `findNodeAtLocation` from `jsonc-parser`,
+ * but uses the last property when keys are duplicated,
+ * which is what `JSON.parse` uses.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @returns {Node}
+ */
+function findNode(state, jsonPath) {
+  let node = state.tree
+
+  for (const segment of jsonPath) {
+    const children = node.children
+    assert(children)
+    let index = children.length
+
+    if (typeof segment === 'number') {
+      index = segment
+    } else {
+      while (index--) {
+        if (propertyKey(children[index]) === segment) break
+      }
+    }
+
+    const child = children[index]
+    assert(child)
+    node =
+      child.type === 'property'
+        ? /** @type {Array<Node>} */ (child.children)[1]
+        : child
+  }
+
+  return node
+}
+
+/**
+ * Get the key of a property.
+ *
+ * @param {Readonly<Node>} node
+ * @returns {string}
+ */
+function propertyKey(node) {
+  assert(node.children)
+  return /** @type {string} */ (getNodeValue(node.children[0]))
+}
+
+/**
+ * Get the source of a node,
+ * dedented to where another node (such as its ancestor) starts.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @param {ReadonlyArray<number | string>} targetJsonPath
+ * @returns {string}
+ */
+function nodeSource(state, jsonPath, targetJsonPath) {
+  const node = findNode(state, jsonPath)
+  const target = findNode(state, targetJsonPath)
+  const size = Math.max(
+    indent(state.value, node.offset) - indent(state.value, target.offset),
+    0
+  )
+
+  return state.value
+    .slice(node.offset, node.offset + node.length)
+    .split('\n')
+    .map(function (line, index) {
+      if (index === 0) return line
+      const whitespace = /^[ \t]*/.exec(line)
+      assert(whitespace)
+      return line.slice(Math.min(whitespace[0].length, size))
+    })
+    .join('\n')
+}
+
+/**
+ * Get the size of the indent of the line an offset is on.
+ *
+ * @param {string} value
+ * @param {number} offset
+ * @returns {number}
+ */
+function indent(value, offset) {
+  const whitespace = /^[ \t]*/.exec(
+    value.slice(value.lastIndexOf('\n', offset - 1) + 1)
+  )
+  assert(whitespace)
+  return whitespace[0].length
+}
+
+/**
+ * Create a fix that inserts a property into an object.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ *   Path to object.
+ * @param {number} index
+ *   Index to insert at.
+ * @param {string} content
+ *   Property source (example: `'"default": "./index.js"'`).
+ * @returns {Array<Edit>}
+ */
+function fixInsert(state, jsonPath, index, content) {
+  const node = findNode(state, jsonPath)
+  const children = node.children
+  assert(children)
+
+  if (children.length === 0) {
+    return [{content, length: 0, offset: node.offset + 1}]
+  }
+
+  // Reuse whitespace between properties.
+  const separator =
+    children.length > 1
+      ? state.value.slice(
+          children[0].offset + children[0].length,
+          children[1].offset
+        )
+      : ',' + state.value.slice(node.offset + 1, children[0].offset)
+
+  if (index < children.length) {
+    return [
+      {content: content + separator, length: 0, offset: children[index].offset}
+    ]
+  }
+
+  const last = children.at(-1)
+  assert(last)
+  return [
+    {content: separator + content, length: 0, offset: last.offset + last.length}
+  ]
+}
+
+/**
+ * Find where to insert a property in an object,
+ * before the first property that sorts after it.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ *   Path to object.
+ * @param {string} key
+ * @returns {number}
+ */
+function insertionIndex(state, jsonPath, key) {
+  const children = findNode(state, jsonPath).children
+  assert(children)
+  let index = -1
+
+  while (++index < children.length) {
+    if (propertyKey(children[index]) > key) break
+  }
+
+  return index
+}
+
+/**
+ * Check if a value can be removed without changing what is exported:
+ * it must be in an object,
+ * which must not be the field itself.
+ *
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @returns {boolean}
+ */
+function removable(jsonPath) {
+  return jsonPath.length > 1 && typeof jsonPath.at(-1) === 'string'
+}
+
+/**
+ * Create a fix that removes a property.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @returns {Array<Edit>}
+ */
+function fixRemove(state, jsonPath) {
+  const property = findNode(state, jsonPath).parent
+  assert(property && property.parent && property.parent.children)
+  const object = property.parent
+  const siblings = property.parent.children
+  const index = siblings.indexOf(property)
+  const next = siblings[index + 1]
+  const previous = siblings[index - 1]
+  let start = property.offset
+  let end = property.offset + property.length
+
+  // Remove the separator after it, or before it if it’s last,
+  // or everything in the object if it’s the only property.
+  if (next) {
+    end = next.offset
+  } else if (previous) {
+    start = previous.offset + previous.length
+  } else {
+    start = object.offset + 1
+    end = object.offset + object.length - 1
+  }
+
+  return [{content: '', length: end - start, offset: start}]
+}
+
+/**
+ * Create a fix that renames a property.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @param {string} key
+ * @returns {Array<Edit>}
+ */
+function fixRename(state, jsonPath, key) {
+  const property = findNode(state, jsonPath).parent
+  assert(property && property.children)
+  const node = property.children[0]
+  return [
+    {content: JSON.stringify(key), length: node.length, offset: node.offset}
+  ]
+}
+
+/**
+ * Create a fix that replaces a value.
+ *
+ * @param {Readonly<State>} state
+ * @param {ReadonlyArray<number | string>} jsonPath
+ * @param {string} content
+ * @returns {Array<Edit>}
+ */
+function fixReplace(state, jsonPath, content) {
+  const node = findNode(state, jsonPath)
+  return [{content, length: node.length, offset: node.offset}]
+}
+
+/**
+ * Count the edits needed to turn one string into another:
+ * insertions, deletions, substitutions, and swaps of adjacent characters.
+ *
+ * @param {string} left
+ * @param {string} right
+ * @returns {number}
+ */
+function editDistance(left, right) {
+  /** @type {Array<Array<number>>} */
+  const rows = []
+  let index = -1
+
+  while (++index <= left.length) {
+    /** @type {Array<number>} */
+    const row = []
+    let offset = -1
+
+    while (++offset <= right.length) {
+      row.push(
+        index === 0 || offset === 0
+          ? index + offset
+          : Math.min(
+              rows[index - 1][offset] + 1,
+              row[offset - 1] + 1,
+              rows[index - 1][offset - 1] +
+                (left[index - 1] === right[offset - 1] ? 0 : 1),
+              index > 1 &&
+                offset > 1 &&
+                left[index - 1] === right[offset - 2] &&
+                left[index - 2] === right[offset - 1]
+                ? rows[index - 2][offset - 2] + 1
+                : Number.POSITIVE_INFINITY
+            )
+      )
+    }
+
+    rows.push(row)
+  }
+
+  return rows[left.length][right.length]
 }
 
 /**
@@ -1247,9 +4012,9 @@ function displayPath(segments) {
 /**
  * Compare exports.
  *
- * @param {RawExport} left
+ * @param {RawExport | RawNegatedExport} left
  *   Left.
- * @param {RawExport} right
+ * @param {RawExport | RawNegatedExport} right
  *   Right.
  * @returns {number}
  *   Order.
@@ -1291,6 +4056,63 @@ function arrayEquivalent(left, right) {
   }
 }
 
+/**
+ * Check if a value ends resolution when its condition matches:
+ * a nested conditions object without `default` (or all conditions of an
+ * exhaustive group, such as `import` and `require`) does not,
+ * as resolution then continues with the next condition.
+ *
+ * @param {Readonly<State>} state
+ *   Info passed around.
+ * @param {unknown} value
+ *   Value.
+ * @returns {boolean}
+ *   Whether the value ends resolution.
+ */
+function endsResolution(state, value) {
+  if (!isRecord(value)) return true
+
+  if ('default' in value) return endsResolution(state, value.default)
+
+  return state.exclusiveGroups.some(function (exclusive) {
+    return (
+      exclusive.exhaustive &&
+      exclusive.conditions.every(function (d) {
+        return d in value && endsResolution(state, value[d])
+      })
+    )
+  })
+}
+
+/**
+ * Check if a value is a plain object.
+ *
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Check if a value is a non-empty list of paths.
+ *
+ * @param {unknown} value
+ * @returns {value is ReadonlyArray<string>}
+ */
+function isPathList(value) {
+  const list = Array.isArray(value)
+    ? /** @type {ReadonlyArray<unknown>} */ (value)
+    : []
+
+  return (
+    list.length > 0 &&
+    list.every(function (d) {
+      return typeof d === 'string'
+    })
+  )
+}
+
 /**
  * @param {string} value
  * @returns {string}
@@ -1306,6 +4128,17 @@ function pathToPosixPath(value) {
  *   Clean export.
  */
 function rawExportToExport(raw) {
-  const {filePath, globbed, jsonPathOrder, ...rest} = raw
+  const {filePath, format, globbed, jsonPathOrder, ...rest} = raw
+  return rest
+}
+
+/**
+ * @param {RawNegatedExport} raw
+ *   Raw negated export.
+ * @returns {NegatedExport}
+ *   Clean negated export.
+ */
+function rawNegatedExportToNegatedExport(raw) {
+  const {jsonPathOrder, ...rest} = raw
   return rest
 }
@@ -0,0 +1,96 @@
+/**
+ * @typedef {import('./conditions.js').ConditionInfo} ConditionInfo
+ * @typedef {import('./index.js').Result} Result
+ * @typedef {import('./resolve.js').Resolution} Resolution
+ */
+
+/**
+ * @typedef MatrixRow
+ *   What a specifier resolves to in each environment.
+ * @property {Record<string, Resolution>} resolutions
+ *   Resolution, by environment name.
+ * @property {string} specifier
+ *   Specifier (example: `'.'`, `'./sub'`).
+ */
+
+import {conditions as defaultConditions, exclusiveGroups} from './conditions.js'
+import {createResolver} from './resolve.js'
+
+/**
+ * Conditions of common environments, by name.
+ *
+ * @type {Readonly<Record<string, ReadonlyArray<string>>>}
+ */
+const defaultEnvironments = {
+  'node-import': ['import', 'node'],
+  'node-require': ['node', 'require'],
+  // Webpack, esbuild, Rollup, and such, when bundling for browsers.
+  'browser-bundler': ['browser', 'import', 'module'],
+  deno: ['deno', 'import'],
+  bun: ['bun', 'import'],
+  // Cloudflare workers.
+  workerd: ['import', 'worker', 'workerd'],
+  'react-native': ['import', 'react-native']
+}
+
+/**
+ * Resolve each specifier in several environments.
+ *
+ * @param {Readonly<Result>} result
+ *   Result of `packageExports`.
+ * @param {Readonly<Record<string, ReadonlyArray<string>>> | null | undefined} [environments]
+ *   Conditions of environments, by name (optional);
+ *   defaults to `node-import`, `node-require`, `browser-bundler`, `deno`,
+ *   `bun`, `workerd`, and `react-native`.
+ * @param {Readonly<Record<string, Readonly<ConditionInfo>>> | null | undefined} [conditions]
+ *   Info about conditions, by condition (optional);
+ *   merged with the defaults,
+ *   an entry replaces a default one,
+ *   like `conditions` in the options of `packageExports`.
+ * @returns {Array<MatrixRow>}
+ *   Rows, one for each specifier.
+ */
+export function exportsMatrix(result, environments, conditions) {
+  const settings = environments || defaultEnvironments
+  const groups = exclusiveGroups({...defaultConditions, ...conditions})
+
+  for (const [name, environment] of Object.entries(settings)) {
+    for (const exclusive of groups) {
+      const found = exclusive.conditions.filter(function (d) {
+        return environment.includes(d)
+      })
+
+      if (found.length > 1) {
+        throw new Error(
+          'Unexpected mutually exclusive conditions `' +
+            found.join('`, `') +
+            '` in environment `' +
+            name +
+            '`, expected one of them'
+        )
+      }
+    }
+  }
+
+  const resolve = createResolver(result)
+  /** @type {Array<MatrixRow>} */
+  const rows = []
+  /** @type {Set<string>} */
+  const seen = new Set()
+
+  for (const export_ of result.exports) {
+    if (seen.has(export_.specifier)) continue
+    seen.add(export_.specifier)
+
+    /** @type {Record<string, Resolution>} */
+    const resolutions = {}
+
+    for (const [name, environment] of Object.entries(settings)) {
+      resolutions[name] = resolve(export_.specifier, environment)
+    }
+
+    rows.push({resolutions, specifier: export_.specifier})
+  }
+
+  return rows
+}
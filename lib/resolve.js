@@ -0,0 +1,318 @@
+/**
+ * @typedef {import('./index.js').Export} Export
+ * @typedef {import('./index.js').NegatedExport} NegatedExport
+ * @typedef {import('./index.js').Result} Result
+ */
+
+/**
+ * @typedef Candidate
+ *   Export or negated export that could match.
+ * @property {ReadonlyArray<string> | undefined} conditions
+ *   Conditions.
+ * @property {ReadonlyArray<number | string>} jsonPath
+ *   Path in `package.json`.
+ * @property {ReadonlyArray<number>} jsonPathOrder
+ *   Order in `package.json`.
+ * @property {string} specifier
+ *   Specifier.
+ * @property {string | undefined} [url]
+ *   Resolved URL to file, if not negated.
+ *
+ * @callback Resolve
+ *   Resolve a specifier with certain conditions.
+ * @param {string} specifier
+ *   Specifier to resolve (example: `'.'`, `'./sub'`).
+ * @param {ReadonlyArray<string>} conditions
+ *   Conditions to match (example: `['import', 'node']`).
+ * @returns {Resolution}
+ *   Resolution.
+ *
+ * @typedef Resolution
+ *   Result of resolving a specifier.
+ * @property {ReadonlyArray<number | string> | undefined} jsonPath
+ *   Path in `package.json` that matched, if any.
+ * @property {'conditions' | 'negated' | 'specifier' | undefined} reason
+ *   Why the specifier is not exported, if it isn’t;
+ *   `'specifier'` means no specifier in the export map matches,
+ *   or a pattern matches but the file it maps to is not in the package,
+ *   `'conditions'` means a specifier matches but none of its conditions do,
+ *   `'negated'` means a `null` matches.
+ * @property {string | undefined} url
+ *   Resolved URL to file, if exported.
+ */
+
+import {parse as jsonParse} from 'jsonc-parser'
+
+/**
+ * Resolve a specifier with certain conditions, like Node does.
+ *
+ * Unlike Node, patterns only resolve to files that are in the package.
+ *
+ * @param {Readonly<Result>} result
+ *   Result of `packageExports`.
+ * @param {string} specifier
+ *   Specifier to resolve (example: `'.'`, `'./sub'`).
+ * @param {ReadonlyArray<string>} conditions
+ *   Conditions to match (example: `['import', 'node']`);
+ *   `default` always matches.
+ * @returns {Resolution}
+ *   Resolution.
+ */
+export function resolveExport(result, specifier, conditions) {
+  return createResolver(result)(specifier, conditions)
+}
+
+/**
+ * Create a function that resolves specifiers in a result,
+ * which is faster than calling `resolveExport` for each specifier.
+ *
+ * @param {Readonly<Result>} result
+ *   Result of `packageExports`.
+ * @returns {Resolve}
+ *   Resolve.
+ */
+export function createResolver(result) {
+  /** @type {unknown} */
+  const packageData = jsonParse(String(result.file.value))
+
+  return createOrderedResolver(
+    result.exports.map(addOrder),
+    result.negatedExports.map(addOrder)
+  )
+
+  /**
+   * @param {Readonly<Export | NegatedExport>} export_
+   * @returns {Candidate}
+   */
+  function addOrder(export_) {
+    return {
+      ...export_,
+      jsonPathOrder: documentOrder(packageData, export_.jsonPath)
+    }
+  }
+}
+
+/**
+ * Create a function that resolves specifiers in exports that know their
+ * order in `package.json`.
+ *
+ * @param {ReadonlyArray<Readonly<Candidate>>} exports
+ *   Exports.
+ * @param {ReadonlyArray<Readonly<Candidate>>} negatedExports
+ *   Negated exports.
+ * @returns {Resolve}
+ *   Resolve.
+ */
+export function createOrderedResolver(exports, negatedExports) {
+  /** @type {Map<string, Map<string, Array<Readonly<Candidate>>>>} */
+  const exportsByKey = new Map()
+  /** @type {Map<string, Array<Readonly<Candidate>>>} */
+  const negatedByKey = new Map()
+  /** @type {Set<string>} */
+  const keys = new Set()
+  /** @type {Array<string>} */
+  const patternKeys = []
+
+  for (const export_ of exports) {
+    const key = addKey(export_)
+    let bySpecifier = exportsByKey.get(key)
+
+    if (!bySpecifier) {
+      bySpecifier = new Map()
+      exportsByKey.set(key, bySpecifier)
+    }
+
+    addCandidate(bySpecifier, export_.specifier, export_)
+  }
+
+  for (const negated of negatedExports) {
+    addCandidate(negatedByKey, addKey(negated), {...negated, url: undefined})
+  }
+
+  return resolve
+
+  /** @type {Resolve} */
+  function resolve(specifier, conditions) {
+    const key =
+      keys.has(specifier) && !specifier.includes('*')
+        ? specifier
+        : findPatternKey(patternKeys, specifier)
+
+    // No key matches.
+    if (key === undefined) {
+      return {jsonPath: undefined, reason: 'specifier', url: undefined}
+    }
+
+    const bySpecifier = exportsByKey.get(key)
+    const candidates = [
+      ...((bySpecifier && bySpecifier.get(specifier)) || []),
+      ...(negatedByKey.get(key) || [])
+    ]
+
+    // A pattern key matches but no file does.
+    if (candidates.length === 0) {
+      return {jsonPath: undefined, reason: 'specifier', url: undefined}
+    }
+
+    candidates.sort(compareCandidate)
+
+    for (const candidate of candidates) {
+      if (
+        !candidate.conditions ||
+        candidate.conditions.every(function (d) {
+          return d === 'default' || conditions.includes(d)
+        })
+      ) {
+        return {
+          jsonPath: candidate.jsonPath,
+          reason: candidate.url === undefined ? 'negated' : undefined,
+          url: candidate.url
+        }
+      }
+    }
+
+    return {jsonPath: undefined, reason: 'conditions', url: undefined}
+  }
+
+  /**
+   * @param {Readonly<Candidate>} export_
+   * @returns {string}
+   */
+  function addKey(export_) {
+    const key = exportKey(export_)
+
+    if (!keys.has(key)) {
+      keys.add(key)
+      if (key.includes('*')) patternKeys.push(key)
+    }
+
+    return key
+  }
+}
+
+/**
+ * Add a candidate to a list in a map.
+ *
+ * @param {Map<string, Array<Readonly<Candidate>>>} map
+ *   Map.
+ * @param {string} key
+ *   Key.
+ * @param {Readonly<Candidate>} candidate
+ *   Candidate.
+ * @returns {undefined}
+ */
+function addCandidate(map, key, candidate) {
+  let list = map.get(key)
+
+  if (!list) {
+    list = []
+    map.set(key, list)
+  }
+
+  list.push(candidate)
+}
+
+/**
+ * Find the key in an export map that defines an export.
+ *
+ * @param {Readonly<Pick<Export, 'jsonPath' | 'specifier'>>} export_
+ *   Export.
+ * @returns {string}
+ *   Key (example: `'.'`, `'./*'`).
+ */
+function exportKey(export_) {
+  // Not in an export map, so `main` or a file in the package.
+  if (export_.jsonPath[0] !== 'exports') return export_.specifier
+
+  for (const segment of export_.jsonPath) {
+    if (typeof segment === 'string' && segment.startsWith('.')) return segment
+  }
+
+  // Sugar: `"exports": "./index.js"` or conditions.
+  return '.'
+}
+
+/**
+ * Find the best pattern key that matches a specifier,
+ * which is the one with the longest prefix,
+ * and then the longest key.
+ *
+ * @param {ReadonlyArray<string>} keys
+ *   Pattern keys.
+ * @param {string} specifier
+ *   Specifier.
+ * @returns {string | undefined}
+ *   Best key.
+ */
+function findPatternKey(keys, specifier) {
+  /** @type {string | undefined} */
+  let best
+
+  for (const key of keys) {
+    const asteriskIndex = key.indexOf('*')
+
+    if (
+      specifier.length >= key.length &&
+      specifier.startsWith(key.slice(0, asteriskIndex)) &&
+      specifier.endsWith(key.slice(asteriskIndex + 1)) &&
+      (best === undefined ||
+        asteriskIndex > best.indexOf('*') ||
+        (asteriskIndex === best.indexOf('*') && key.length > best.length))
+    ) {
+      best = key
+    }
+  }
+
+  return best
+}
+
+/**
+ * Get the order of keys and indices of a JSON path in a value.
+ *
+ * @param {unknown} value
+ *   Value.
+ * @param {ReadonlyArray<number | string>} jsonPath
+ *   Path in `value`.
+ * @returns {Array<number>}
+ *   Order.
+ */
+function documentOrder(value, jsonPath) {
+  /** @type {Array<number>} */
+  const order = []
+
+  for (const segment of jsonPath) {
+    if (typeof segment === 'number') {
+      order.push(segment)
+      value = /** @type {ReadonlyArray<unknown>} */ (value)[segment]
+    } else {
+      const record = /** @type {Record<string, unknown>} */ (value)
+      order.push(Object.keys(record).indexOf(segment))
+      value = record[segment]
+    }
+  }
+
+  return order
+}
+
+/**
+ * Compare candidates.
+ *
+ * @param {Readonly<Candidate>} left
+ *   Left.
+ * @param {Readonly<Candidate>} right
+ *   Right.
+ * @returns {number}
+ *   Order.
+ */
+function compareCandidate(left, right) {
+  // Candidates are leaves, so one path is never a prefix of the other.
+  const length = Math.min(left.jsonPathOrder.length, right.jsonPathOrder.length)
+  let difference = 0
+  let index = -1
+
+  while (!difference && ++index < length) {
+    difference = left.jsonPathOrder[index] - right.jsonPathOrder[index]
+  }
+
+  return difference
+}
@@ -0,0 +1,88 @@
+/**
+ * IDs of all rules.
+ *
+ * @type {ReadonlyArray<string>}
+ */
+export const ruleIds = [
+  'exports-alternatives',
+  'exports-alternatives-empty',
+  'exports-condition-misplaced',
+  'exports-condition-unknown',
+  'exports-conditions-default-misplaced',
+  'exports-conditions-default-missing',
+  'exports-conditions-mutually-exclusive',
+  'exports-conditions-unreachable',
+  'exports-conditions-verbose',
+  'exports-dual-package-hazard',
+  'exports-import-addon',
+  'exports-import-commonjs',
+  'exports-load-failed',
+  'exports-main-missing',
+  'exports-names-mismatch',
+  'exports-negated-missing',
+  'exports-object-empty',
+  'exports-object-mixed',
+  'exports-path-not-found',
+  'exports-path-unprefixed',
+  'exports-path-wildcard-not-found',
+  'exports-require-async',
+  'exports-require-esm',
+  'exports-resolve-mismatch',
+  'exports-specifier-extension',
+  'exports-specifier-nested',
+  'exports-specifier-wildcard-invalid',
+  'exports-specifier-wildcard-useless',
+  'exports-specifiers-verbose',
+  'exports-types-masquerading',
+  'exports-types-misplaced',
+  'exports-types-missing',
+  'exports-types-verbose',
+  'exports-value-invalid',
+  'files-missing',
+  'imports-alternatives',
+  'imports-alternatives-empty',
+  'imports-condition-misplaced',
+  'imports-condition-unknown',
+  'imports-conditions-default-misplaced',
+  'imports-conditions-default-missing',
+  'imports-conditions-mutually-exclusive',
+  'imports-conditions-unreachable',
+  'imports-conditions-verbose',
+  'imports-import-addon',
+  'imports-import-commonjs',
+  'imports-negated-missing',
+  'imports-object-empty',
+  'imports-object-mixed',
+  'imports-package-undeclared',
+  'imports-path-escaping',
+  'imports-path-not-found',
+  'imports-path-url',
+  'imports-path-wildcard-not-found',
+  'imports-require-esm',
+  'imports-specifier-extension',
+  'imports-specifier-invalid',
+  'imports-specifier-nested',
+  'imports-specifier-unprefixed',
+  'imports-specifier-wildcard-invalid',
+  'imports-specifier-wildcard-useless',
+  'imports-types-misplaced',
+  'imports-types-verbose',
+  'imports-value-invalid',
+  'main',
+  'main-extra',
+  'main-inferred',
+  'main-invalid',
+  'main-missing',
+  'main-not-found',
+  'main-resolve-commonjs',
+  'main-resolve-module',
+  'name-missing',
+  'npm-ignored',
+  'package-json-invalid',
+  'package-json-key-duplicate',
+  'type-invalid',
+  'type-missing',
+  'types-versions-invalid',
+  'types-versions-mismatch',
+  'types-versions-path-not-found'
+]
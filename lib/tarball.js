@@ -0,0 +1,194 @@
+/**
+ * @typedef {import('./index.js').Options} Options
+ * @typedef {import('./index.js').Result} Result
+ */
+
+import fs from 'node:fs/promises'
+import {promisify} from 'node:util'
+import {gunzip as gunzipCallback} from 'node:zlib'
+import {packageExports} from './index.js'
+
+const gunzip = promisify(gunzipCallback)
+
+/**
+ * Get the exports of a package in a tarball,
+ * such as made by `npm pack`.
+ *
+ * @param {Readonly<URL>} url
+ *   File URL to a local tarball (`.tgz`).
+ * @param {Readonly<Options> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Promise<Result>}
+ *   Result.
+ */
+export async function packageExportsFromTarball(url, options) {
+  const files = untar(await gunzip(await fs.readFile(url)))
+  // Files in the tarball are treated as if they are in a folder.
+  const folder = new URL(url.href + '/')
+
+  if (!files.has('package.json')) {
+    throw new Error(
+      'Unexpected missing `package.json` in tarball `' + url.href + '`'
+    )
+  }
+
+  return packageExports(folder, {
+    ...options,
+    // Files in the tarball are not on disk, so Node can’t read them.
+    resolve: false,
+    verify: false,
+    fs: {
+      async access(fileUrl) {
+        get(fileUrl)
+      },
+      async packagedFiles() {
+        return [...files.keys()].map(function (d) {
+          return './' + d
+        })
+      },
+      async readFile(fileUrl) {
+        return get(fileUrl).toString('utf8')
+      }
+    }
+  })
+
+  /**
+   * @param {URL} fileUrl
+   *   URL to file in tarball.
+   * @returns {Buffer}
+   *   Contents.
+   */
+  function get(fileUrl) {
+    const filePath = decodeURIComponent(fileUrl.href.slice(folder.href.length))
+    const value = files.get(filePath)
+
+    if (!value) {
+      throw Object.assign(
+        new Error('ENOENT: no such file in tarball, access `' + filePath + '`'),
+        {code: 'ENOENT'}
+      )
+    }
+
+    return value
+  }
+}
+
+/**
+ * Get the files in a tar archive.
+ *
+ * Supports ustar, pax, and GNU long names,
+ * and drops the first folder from paths
+ * (npm uses `package/`).
+ *
+ * @param {Buffer} buffer
+ *   Tar archive.
+ * @returns {Map<string, Buffer>}
+ *   Files, by path.
+ */
+function untar(buffer) {
+  /** @type {Map<string, Buffer>} */
+  const files = new Map()
+  /** @type {string | undefined} */
+  let longPath
+  let offset = 0
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512)
+
+    // End of archive.
+    if (
+      header.every(function (d) {
+        return d === 0
+      })
+    ) {
+      break
+    }
+
+    const size = Number.parseInt(field(header, 124, 12), 8) || 0
+    const type = String.fromCodePoint(header[156])
+    const data = buffer.subarray(offset + 512, offset + 512 + size)
+
+    offset += 512 + Math.ceil(size / 512) * 512
+
+    // Pax extended header for the next entry.
+    if (type === 'x') {
+      longPath = paxPath(data)
+      continue
+    }
+
+    // GNU long name for the next entry.
+    if (type === 'L') {
+      longPath = field(data, 0, size)
+      continue
+    }
+
+    let name = field(header, 0, 100)
+
+    // Ustar prefix.
+    if (field(header, 257, 6) === 'ustar') {
+      const prefix = field(header, 345, 155)
+      if (prefix) name = prefix + '/' + name
+    }
+
+    name = longPath || name
+    longPath = undefined
+
+    // Regular files.
+    if (type === '0' || type === '\0') {
+      files.set(name.slice(name.indexOf('/') + 1), data)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Get a NUL-terminated string from a buffer.
+ *
+ * @param {Buffer} buffer
+ *   Buffer.
+ * @param {number} start
+ *   Start.
+ * @param {number} length
+ *   Maximum length.
+ * @returns {string}
+ *   Value.
+ */
+function field(buffer, start, length) {
+  const value = buffer.toString('utf8', start, start + length)
+  const end = value.indexOf('\0')
+  return end === -1 ? value : value.slice(0, end)
+}
+
+/**
+ * Get the path from pax extended header records
+ * (such as `'30 path=some/long/path.js\n'`).
+ *
+ * @param {Buffer} data
+ *   Records.
+ * @returns {string | undefined}
+ *   Path, if any.
+ */
+function paxPath(data) {
+  /** @type {string | undefined} */
+  let result
+  let offset = 0
+
+  while (offset < data.length) {
+    // Lengths are in bytes.
+    const space = data.indexOf(' ', offset)
+    const length = Number.parseInt(data.toString('utf8', offset, space), 10)
+
+    // Invalid.
+    if (!(length > 0)) break
+
+    const record = data.toString('utf8', space + 1, offset + length - 1)
+    const equals = record.indexOf('=')
+
+    if (record.slice(0, equals) === 'path') result = record.slice(equals + 1)
+
+    offset += length
+  }
+
+  return result
+}
@@ -1,28 +1,74 @@
 /**
  * @typedef {import('package-exports').Export} Export
+ * @typedef {import('package-exports').Message} Message
+ * @typedef {import('package-exports').Result} Result
  */
 
 /**
  * @typedef {Omit<Export, 'url'> & {url: string}} SimpleExport
+ *
+ * @typedef TarEntry
+ * @property {string | undefined} [data]
+ * @property {string | undefined} [magic]
+ * @property {string} name
+ * @property {string | undefined} [prefix]
+ * @property {string | undefined} [type]
  */
 
 import assert from 'node:assert/strict'
+import {execFile as execFileCallback} from 'node:child_process'
 import fs from 'node:fs/promises'
+import process from 'node:process'
 import test from 'node:test'
-import {packageExports} from 'package-exports'
+import {fileURLToPath} from 'node:url'
+import {promisify} from 'node:util'
+import {gzipSync} from 'node:zlib'
+import {
+  applyFixes,
+  compareExports,
+  conditions,
+  exportsMatrix,
+  packageExports,
+  packageExportsFromTarball,
+  resolveExport
+} from 'package-exports'
+import {ruleIds} from './lib/rules.js'
 
 const base = new URL('fixtures/', import.meta.url)
+const cliPath = fileURLToPath(new URL('cli.js', import.meta.url))
+const execFile = promisify(execFileCallback)
 
 await clean()
 
 test('package-exports', async function (t) {
   await t.test('should expose the public api', async function () {
     assert.deepEqual(Object.keys(await import('package-exports')).sort(), [
-      'packageExports'
+      'applyFixes',
+      'compareExports',
+      'conditions',
+      'exportsMatrix',
+      'packageExports',
+      'packageExportsFromTarball',
+      'resolveExport'
     ])
   })
 })
 
+test('ruleIds', async function (t) {
+  await t.test('should list the rules in the readme', async function () {
+    const readme = await fs.readFile(new URL('readme.md', import.meta.url))
+    const section = String(readme).split('* [Errors](#errors)\n')[1]
+    const ids = [...section.split('\n* ')[0].matchAll(/\(#([\da-z-]+)\)/g)]
+
+    assert.deepEqual(
+      ruleIds,
+      ids.map(function (d) {
+        return d[1]
+      })
+    )
+  })
+})
+
 test('packageExports', async function (t) {
   t.after(clean)
 
@@ -39,7 +85,9 @@ test('packageExports', async function (t) {
       }
     ])
     assert.deepEqual(result.file.messages, [])
+    assert.deepEqual(result.imports, [])
     assert.deepEqual(result.name, 'package-exports')
+    assert.deepEqual(result.negatedExports, [])
   })
 
   await t.test('should work', async function () {
@@ -663,6 +711,282 @@ test('packageExports', async function (t) {
     }
   )
 
+  await t.test('should warn for unreachable conditions', async function () {
+    await check(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          node: './a.js',
+          'node-addons': './b.js',
+          import: './a.js',
+          require: './a.cjs',
+          types: './c.d.ts',
+          default: './a.js'
+        },
+        files: ['*.cjs', '*.js', '*.ts']
+      },
+      [['a.cjs'], ['a.d.ts'], ['c.d.ts'], ['a.js'], ['b.js']],
+      [
+        {
+          conditions: ['node'],
+          exists: true,
+          jsonPath: ['exports', 'node'],
+          specifier: '.',
+          url: 'a.js'
+        },
+        {
+          conditions: ['node-addons'],
+          exists: true,
+          jsonPath: ['exports', 'node-addons'],
+          specifier: '.',
+          url: 'b.js'
+        },
+        {
+          conditions: ['import'],
+          exists: true,
+          jsonPath: ['exports', 'import'],
+          specifier: '.',
+          url: 'a.js'
+        },
+        {
+          conditions: ['require'],
+          exists: true,
+          jsonPath: ['exports', 'require'],
+          specifier: '.',
+          url: 'a.cjs'
+        },
+        {
+          conditions: ['types'],
+          exists: true,
+          jsonPath: ['exports', 'types'],
+          specifier: '.',
+          url: 'c.d.ts'
+        },
+        {
+          conditions: ['default'],
+          exists: true,
+          jsonPath: ['exports', 'default'],
+          specifier: '.',
+          url: 'a.js'
+        }
+      ],
+      [
+        [
+          'Unexpected unreachable condition `node-addons` at `exports` after `node`, which is always set when `node-addons` is, move `node-addons` before `node`',
+          'package-exports:exports-conditions-unreachable'
+        ],
+        [
+          'Unexpected unreachable condition `types` at `exports` after `import` and `require`, one of which is always set when `types` is, move `types` before `import`',
+          'package-exports:exports-conditions-unreachable'
+        ]
+      ]
+    )
+  })
+
+  await t.test(
+    'should support `implies` in `options.conditions`',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            node: './a.js',
+            import: './a.js',
+            require: './a.cjs',
+            types: './c.d.ts',
+            default: './a.js'
+          },
+          files: ['*.cjs', '*.js', '*.ts']
+        },
+        [['a.cjs'], ['a.d.ts'], ['c.d.ts'], ['a.js']]
+      )
+      const result = await packageExports(folderUrl, {
+        conditions: {
+          import: {...conditions.import, implies: ['node']},
+          types: {...conditions.types, implies: []}
+        }
+      })
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return d.reason
+        }),
+        [
+          'Unexpected unreachable condition `import` at `exports` after `node`, which is always set when `import` is, move `import` before `node`',
+          'Unexpected `types` condition at `exports` after `node`, `import`, and `require`, which TypeScript matches first, move `types` to the start'
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test('should support `options.conditions`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {
+            'team-a': {'team-b': './a.js', default: './a.js'},
+            default: './a.js'
+          },
+          './b': {esm: './b.cjs', default: './a.js'},
+          './c': {import: './a.js', typings: './c.d.ts', default: './a.js'},
+          './d': {'team-a': './a.js', legacy: './a.js', default: './a.js'},
+          './e': {import: './a.js', lint: './a.js', default: './a.js'},
+          './f': {
+            other: './a.js',
+            import: './a.js',
+            early: './a.js',
+            default: './a.js'
+          }
+        },
+        files: ['*.cjs', '*.js', '*.ts']
+      },
+      [['a.d.ts'], ['a.js'], ['b.cjs'], ['c.d.ts']]
+    )
+    const result = await packageExports(folderUrl, {
+      conditions: {
+        early: {first: true, runtimes: ['bundlers', 'Node']},
+        esm: {format: 'module'},
+        legacy: {implies: ['team-a']},
+        lint: {first: true},
+        'team-a': {exclusive: 'team'},
+        'team-b': {exclusive: 'team'},
+        typings: {first: true, runtimes: ['TypeScript']}
+      }
+    })
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          "Unexpected condition `team-b` mutually exclusive with `team-a` at `exports['.']['team-a']` which never matches, use only one of these conditions",
+          'exports-conditions-mutually-exclusive'
+        ],
+        [
+          "Unexpected CJS file `./b.cjs` at `exports['./b'].esm` with `esm`, which Node loads as CJS, expected an ESM file (such as `.mjs`), or remove the `esm` condition",
+          'exports-import-commonjs'
+        ],
+        [
+          "Unexpected `typings` condition at `exports['./c']` after `import`, which TypeScript matches first, move `typings` to the start",
+          'exports-condition-misplaced'
+        ],
+        [
+          "Unexpected unreachable condition `legacy` at `exports['./d']` after `team-a`, which is always set when `legacy` is, move `legacy` before `team-a`",
+          'exports-conditions-unreachable'
+        ],
+        [
+          "Unexpected `early` condition at `exports['./f']` after `import`, which bundlers and Node match first, move `early` to the start",
+          'exports-condition-misplaced'
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test(
+    'should warn for CJS files with `module-sync`',
+    async function () {
+      await check(
+        {
+          name: 'x',
+          type: 'commonjs',
+          exports: {'module-sync': './index.js', default: './index.js'},
+          files: ['index.js']
+        },
+        [['index.js']],
+        [
+          {
+            conditions: ['module-sync'],
+            exists: true,
+            jsonPath: ['exports', 'module-sync'],
+            specifier: '.',
+            url: 'index.js'
+          },
+          {
+            conditions: ['default'],
+            exists: true,
+            jsonPath: ['exports', 'default'],
+            specifier: '.',
+            url: 'index.js'
+          }
+        ],
+        [
+          [
+            "Unexpected CJS file `./index.js` at `exports['module-sync']` with `module-sync`, which Node loads as CJS, expected an ESM file (such as `.mjs`), or remove the `module-sync` condition",
+            'package-exports:exports-import-commonjs'
+          ]
+        ]
+      )
+    }
+  )
+
+  await t.test(
+    'should warn for unknown conditions similar to known ones',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            developement: './a.js',
+            improt: './a.js',
+            Node: './a.js',
+            requrie: './a.js',
+            require: './a.cjs',
+            nodes: './a.js',
+            taems: './a.js',
+            bnu: './a.js',
+            default: './a.js'
+          },
+          files: ['*.cjs', '*.js']
+        },
+        [['a.cjs'], ['a.js']]
+      )
+      const result = await packageExports(folderUrl, {
+        conditions: {teams: {}},
+        customConditions: ['nodes']
+      })
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
+        [
+          [
+            'Unexpected unknown condition `developement` at `exports` which never matches, did you mean `development`',
+            'exports-condition-unknown'
+          ],
+          [
+            'Unexpected unknown condition `improt` at `exports` which never matches, did you mean `import`',
+            'exports-condition-unknown'
+          ],
+          [
+            'Unexpected unknown condition `Node` at `exports` which never matches, did you mean `node`',
+            'exports-condition-unknown'
+          ],
+          [
+            'Unexpected unknown condition `requrie` at `exports` which never matches, did you mean `require`',
+            'exports-condition-unknown'
+          ],
+          [
+            'Unexpected unknown condition `taems` at `exports` which never matches, did you mean `teams`',
+            'exports-condition-unknown'
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
   await t.test(
     'should warn for mutually exclusive conditions (runtime)',
     async function () {
@@ -961,399 +1285,3504 @@ test('packageExports', async function (t) {
     }
   )
 
-  await t.test('should warn for useless `types`', async function () {
-    await check(
+  await t.test('should warn for files in the wrong format', async function () {
+    const folderUrl = await create(
       {
         name: 'x',
         type: 'module',
-        exports: {types: './index.d.mts', default: './index.mjs'},
-        files: ['*.d.mts', '*.mjs']
+        exports: {
+          '.': {
+            import: './index.cjs',
+            require: './index.js',
+            default: './index.js'
+          },
+          './addon': {import: './addon.node', default: './addon.node'},
+          './lib': {require: './lib/index.js', default: './index.js'}
+        },
+        imports: {'#a': {require: './index.js', default: './index.js'}},
+        files: ['addon.node', 'index.*', 'lib/']
       },
-      [['index.d.mts'], ['index.mjs']],
       [
-        {
-          conditions: ['types'],
-          exists: true,
-          jsonPath: ['exports', 'types'],
-          specifier: '.',
-          url: 'index.d.mts'
-        },
-        {
-          conditions: ['default'],
-          exists: true,
-          jsonPath: ['exports', 'default'],
-          specifier: '.',
-          url: 'index.mjs'
-        }
-      ],
+        ['addon.node'],
+        ['index.cjs'],
+        ['index.js'],
+        ['lib/index.js'],
+        ['lib/package.json', '{}']
+      ]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
       [
         [
-          'Unexpected verbose `types` condition at `exports` matching what TypeScript would load for `default` without it, remove it',
-          'package-exports:exports-types-verbose'
+          "Unexpected separate files `./index.cjs` with `import` and `./index.js` with `require` for specifier `.` at `exports['.']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+          'exports-dual-package-hazard'
+        ],
+        [
+          "Unexpected CJS file `./index.cjs` at `exports['.'].import` with `import`, which Node loads as CJS, expected an ESM file (such as `.mjs`), or remove the `import` condition",
+          'exports-import-commonjs'
+        ],
+        [
+          "Unexpected ESM file `./index.js` at `exports['.'].require` with `require`, which Node can’t load in versions without `require(esm)`, expected a CJS file (such as `.cjs`)",
+          'exports-require-esm'
+        ],
+        [
+          "Unexpected native addon `./addon.node` at `exports['./addon'].import` with `import`, which Node can’t load, expected it with `require`",
+          'exports-import-addon'
+        ],
+        [
+          "Unexpected ESM file `./index.js` at `imports['#a'].require` with `require`, which Node can’t load in versions without `require(esm)`, expected a CJS file (such as `.cjs`)",
+          'imports-require-esm'
         ]
       ]
     )
+
+    await fs.rm(folderUrl, {recursive: true})
   })
 
-  await t.test(
-    'should warn if `exports` and `main` are used',
-    async function () {
-      await check(
-        {
-          name: 'x',
-          type: 'module',
-          main: './index.js',
-          exports: './index.js',
-          files: ['index.js']
-        },
-        [['index.js']],
+  await t.test('should find names w/ `names`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'commonjs',
+        exports: {
+          '.': {import: './index.mjs', require: './index.cjs'},
+          './addon': {require: './addon.node'},
+          './all': './all.mjs',
+          './bad': './bad.mjs',
+          './data': './data.json',
+          './lib': './lib/c.mjs',
+          './missing': './missing.mjs',
+          './types': {types: './index.d.ts', default: './index.mjs'}
+        }
+      },
+      [
+        ['addon.node'],
         [
-          {
-            conditions: undefined,
-            exists: true,
-            jsonPath: ['exports'],
-            specifier: '.',
-            url: 'index.js'
-          }
+          'all.mjs',
+          [
+            'const z = 0',
+            'export const a = 1, b = 2',
+            'export let {c, d: [e, , f = 1], ...g} = {}',
+            'export var [h, ...i] = []',
+            'export function j() {}',
+            'export class K {}',
+            "export {z as 'l m'}",
+            "export * as n from './lib/c.mjs'",
+            "export {c as o} from './lib/c.mjs'",
+            'export default function () {}'
+          ].join('\n')
         ],
+        ['bad.mjs', 'export {'],
+        ['data.json', '{}'],
+        ['index.d.ts'],
         [
+          'index.cjs',
           [
-            'Unexpected unused legacy `main` field with modern `exports`, remove it',
-            'package-exports:main-extra'
-          ]
-        ]
-      )
-    }
-  )
-
-  await t.test(
-    'should warn if `main` is defined but non-string',
-    async function () {
-      await check(
-        {name: 'x', type: 'module', main: 1, files: []},
-        [],
+            'exports.a = 1',
+            "Object.defineProperty(exports, '__esModule', {value: true})",
+            "__exportStar(require('./lib/d'), exports)",
+            "__exportStar(require('z'), exports)"
+          ].join('\n')
+        ],
         [
-          {
-            conditions: undefined,
-            exists: true,
-            jsonPath: [],
-            specifier: './package.json',
-            url: 'package.json'
-          }
+          'index.mjs',
+          [
+            'export const a = 1',
+            'export default a',
+            "export * from './lib/b.mjs'",
+            "export * from 'y'"
+          ].join('\n')
         ],
         [
+          'lib/b.mjs',
           [
-            'Unexpected non-string `main` field `1`',
-            'package-exports:main-invalid'
-          ]
+            'export const b = 2',
+            'export default b',
+            "export * from '../index.mjs'",
+            "export * from 'w'"
+          ].join('\n')
+        ],
+        [
+          'lib/c.mjs',
+          ['export const c = 3', "export * from './e.mjs'"].join('\n')
+        ],
+        ['lib/d.js', 'exports.d = 4'],
+        [
+          'lib/e.mjs',
+          ['export * from "./c.mjs"', 'export const e = 5'].join('\n')
+        ]
+      ]
+    )
+    const result = await packageExports(folderUrl, {names: true})
+
+    assert.deepEqual(
+      result.exports.map(function (d) {
+        return [d.jsonPath.join('.'), d.hasDefault, d.names, d.namesDynamic]
+      }),
+      [
+        ['exports...import', true, ['a', 'b'], true],
+        ['exports...require', true, ['a', 'd'], true],
+        ['exports../addon.require', false, [], true],
+        [
+          'exports../all',
+          true,
+          ['K', 'a', 'b', 'c', 'e', 'f', 'g', 'h', 'i', 'j', 'l m', 'n', 'o'],
+          false
+        ],
+        ['exports../bad', false, [], true],
+        ['exports../data', true, [], false],
+        ['exports../lib', false, ['c', 'e'], false],
+        ['exports../missing', undefined, undefined, undefined],
+        ['exports../types.types', undefined, undefined, undefined],
+        ['exports../types.default', true, ['a', 'b'], true]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should warn for different names w/ `names`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'commonjs',
+        exports: {
+          '.': {import: './index.mjs', require: './index.cjs'},
+          './browser': {
+            browser: {import: './index.mjs'},
+            require: './index.cjs'
+          },
+          './dynamic': {import: './dynamic.mjs', require: './index.cjs'},
+          './imports': {import: './index.mjs', default: './index.mjs'},
+          './missing': {import: './index.mjs', require: './missing.cjs'},
+          './same': {import: './index.cjs', require: './index.cjs'},
+          './sub': {import: './sub.mjs', require: './index.cjs'}
+        }
+      },
+      [
+        ['dynamic.mjs', "export const a = 1\nexport * from 'y'"],
+        ['index.cjs', 'exports.a = 1\nexports.b = 2\nexports.c = 3'],
+        ['index.mjs', 'export const a = 1\nexport const d = 4'],
+        ['sub.mjs', 'export const a = 1\nexport const b = 2']
+      ]
+    )
+    const result = await packageExports(folderUrl, {names: true})
+
+    assert.deepEqual(
+      result.file.messages
+        .filter(function (d) {
+          return d.ruleId === 'exports-names-mismatch'
+        })
+        .map(function (d) {
+          return d.reason
+        }),
+      [
+        "Unexpected named export `d` only in `./index.mjs` with `import` and not in `./index.cjs` with `require` for specifier `.` at `exports['.']`, expected the same names",
+        "Unexpected named exports `b` and `c` only in `./index.cjs` with `require` and not in `./index.mjs` with `import` for specifier `.` at `exports['.']`, expected the same names",
+        "Unexpected named export `c` only in `./index.cjs` with `require` and not in `./sub.mjs` with `import` for specifier `./sub` at `exports['./sub']`, expected the same names"
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test(
+    'should warn for different names w/ `names` (sugar)',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'commonjs',
+          exports: {import: './index.mjs', require: './index.cjs'}
+        },
+        [
+          ['index.cjs', 'exports.a = 1'],
+          ['index.mjs', 'export const a = 1\nexport const b = 2']
+        ]
+      )
+      const result = await packageExports(folderUrl, {names: true})
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'exports-names-mismatch'
+          })
+          .map(function (d) {
+            return d.reason
+          }),
+        [
+          'Unexpected named export `b` only in `./index.mjs` with `import` and not in `./index.cjs` with `require` for specifier `.` at `exports`, expected the same names'
         ]
       )
+
+      await fs.rm(folderUrl, {recursive: true})
     }
   )
 
-  await t.test('should support `main` (w/o prefix)', async function () {
-    await check(
-      {name: 'x', type: 'module', main: 'index.js', files: ['index.js']},
-      [['index.js']],
-      [
+  await t.test(
+    'should inform about the dual package hazard w/ `names`',
+    async function () {
+      const folderUrl = await create(
         {
-          conditions: undefined,
-          exists: true,
-          jsonPath: ['main'],
-          specifier: '.',
-          url: 'index.js'
+          name: 'x',
+          type: 'commonjs',
+          exports: {
+            '.': {import: './index.mjs', require: './index.cjs'},
+            './bad': {import: './bad.mjs', require: './index.cjs'},
+            './missing': {import: './index.mjs', require: './missing.cjs'},
+            './state': {import: './state.mjs', require: './state.cjs'},
+            './wrapper': {import: './wrapper.mjs', require: './index.cjs'}
+          }
         },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './index.js',
-          url: 'index.js'
+        [
+          ['bad.mjs', 'export {'],
+          ['data.json', '{}'],
+          [
+            'index.cjs',
+            "const c = require('./lib/c')\nrequire('./data.json')\nrequire('../y')"
+          ],
+          ['index.mjs', "import './lib/a.mjs'\nexport const a = 1"],
+          ['lib/a.mjs', "import('./b.mjs')\nconsole.log(import.meta.url)"],
+          ['lib/b.mjs'],
+          ['lib/c.js'],
+          ['lib/state.js', 'exports.state = {}'],
+          ['state.cjs', "module.exports = require('./lib/state')"],
+          ['state.mjs', "export {state} from './lib/state.js'"],
+          ['wrapper.mjs', "export {a} from './index.cjs'"]
+        ]
+      )
+      const result = await packageExports(folderUrl, {names: true})
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'exports-dual-package-hazard'
+          })
+          .map(function (d) {
+            return [d.reason, d.fatal]
+          }),
+        [
+          [
+            "Unexpected separate files `./index.mjs` with `import` and `./index.cjs` with `require` for specifier `.` at `exports['.']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+            undefined
+          ],
+          [
+            "Unexpected separate files `./bad.mjs` with `import` and `./index.cjs` with `require` for specifier `./bad` at `exports['./bad']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+            undefined
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test('should load exports w/ `verify`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {require: './index.cjs', default: './index.js'},
+          './bad': './bad.js',
+          './browser': {browser: './browser.js', default: './index.js'},
+          './custom': {
+            custom: './custom.js',
+            node: './index.js',
+            default: './index.js'
+          },
+          './exit': './exit.js',
+          './hello': './hello.js',
+          './log': './log.js',
+          './missing': './missing.js',
+          './source': './source.ts'
         },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
-        }
-      ],
+        files: ['*.cjs', '*.js', '*.ts']
+      },
       [
+        ['bad.js', 'export const'],
+        ['browser.js', 'document.title = 1'],
+        ['custom.js', "import './missing.js'"],
+        ['exit.js', 'process.exit(3)'],
         [
-          'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.js"`',
-          'package-exports:main'
+          'hello.js',
+          "console.log('hello')\nconsole.log('package-exports-verify:{')\nprocess.exit(0)"
+        ],
+        ['index.cjs', 'module.exports = 1'],
+        ['index.js', 'export const a = 1'],
+        ['log.js', "console.log('hello')\nexport const a = 1"],
+        ['source.ts', 'export const a: number = 1']
+      ]
+    )
+    const result = await packageExports(folderUrl, {verify: true})
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          "Unexpected error loading `x/bad` with `import` at `exports['./bad']`: SyntaxError: Unexpected end of input",
+          'exports-load-failed'
+        ],
+        [
+          "Unexpected error loading `x/custom` with `import` and `custom` at `exports['./custom'].custom`: Error [ERR_MODULE_NOT_FOUND]: Cannot find module './missing.js' imported from ./custom.js",
+          'exports-load-failed'
+        ],
+        [
+          "Unexpected error loading `x/exit` with `import` at `exports['./exit']`: Error: Process exited with code `3`",
+          'exports-load-failed'
+        ],
+        [
+          "Unexpected error loading `x/hello` with `import` at `exports['./hello']`: Error: Process exited before loading finished",
+          'exports-load-failed'
+        ],
+        [
+          "Unexpected missing file `./missing.js` for specifier `./missing` at `exports['./missing']`",
+          'exports-path-not-found'
         ]
       ]
     )
+
+    await fs.rm(folderUrl, {recursive: true})
   })
 
-  await t.test('should support `main` (w/ `./` prefix)', async function () {
-    await check(
-      {name: 'x', type: 'module', main: './index.js', files: ['index.js']},
-      [['index.js']],
-      [
+  await t.test(
+    'should report processes that are killed w/ `verify`',
+    async function () {
+      const folderUrl = await create(
+        {name: 'x', type: 'module', exports: './index.js', files: ['*.js']},
+        [['index.js', "process.kill(process.pid, 'SIGKILL')"]]
+      )
+      const result = await packageExports(folderUrl, {verify: true})
+
+      assert.equal(result.file.messages.length, 1)
+      // Windows reports an exit code for processes that kill themselves.
+      assert.match(
+        result.file.messages[0].reason,
+        /^Unexpected error loading `x` with `import` at `exports`: Error: Process exited with (?:signal `SIGKILL`|code `\d+`)$/
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should compare resolving in Node w/ `resolve`',
+    async function () {
+      const folderUrl = await create(
         {
-          conditions: undefined,
-          exists: true,
-          jsonPath: ['main'],
-          specifier: '.',
-          url: 'index.js'
+          name: 'x',
+          type: 'module',
+          exports: {
+            './a': './a.js',
+            './b': './b.js',
+            './c': './c.js',
+            './f': './f.js'
+          },
+          files: ['*.js']
         },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './index.js',
-          url: 'index.js'
+        [['a.js'], ['b.js'], ['c.js'], ['d.js'], ['e.js'], ['f.js']]
+      )
+      // What Node sees on disk differs from what we see.
+      const result = await packageExports(folderUrl, {
+        fs: {
+          async readFile(url) {
+            return url.href === new URL('package.json', folderUrl).href
+              ? JSON.stringify({
+                  name: 'x',
+                  type: 'module',
+                  exports: {
+                    './a': './b.js',
+                    './c': {node: null, default: './c.js'},
+                    './d': './d.js',
+                    './e': {node: null, default: './e.js'},
+                    './f': {import: {require: './f.js'}}
+                  },
+                  files: ['*.js']
+                })
+              : fs.readFile(url, 'utf8')
+          }
         },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
-        }
-      ],
-      [
+        resolve: true
+      })
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'exports-resolve-mismatch'
+          })
+          .map(function (d) {
+            return [d.reason, d.ruleId]
+          }),
         [
-          'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.js"`',
-          'package-exports:main'
+          [
+            "Unexpected file `./a.js` for `x/a` with `import` from Node, which differs from `./b.js` at `exports['./a']` from `resolveExport`",
+            'exports-resolve-mismatch'
+          ],
+          [
+            'Unexpected file `./c.js` for `x/c` with `import` from Node, while `resolveExport` finds no file',
+            'exports-resolve-mismatch'
+          ],
+          [
+            "Unexpected failure by Node to resolve `x/d` with `import`, while `resolveExport` finds `./d.js` at `exports['./d']`",
+            'exports-resolve-mismatch'
+          ],
+          [
+            'Unexpected file `./f.js` for `x/f` with `require` from Node, while `resolveExport` finds no file',
+            'exports-resolve-mismatch'
+          ]
         ]
-      ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test('should not load exports w/ `resolve`', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', files: ['*.js']},
+      [['index.js', 'process.exit(3)']]
     )
+    const result = await packageExports(folderUrl, {resolve: true})
+
+    assert.deepEqual(result.file.messages, [])
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should not load exports w/o `verify`', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', files: ['*.js']},
+      [['index.js', 'export const']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(result.file.messages, [])
+
+    await fs.rm(folderUrl, {recursive: true})
   })
 
   await t.test(
-    'should not support `main` (w/o extension, esm)',
+    'should warn for top-level await in ESM with `require`',
     async function () {
-      await check(
+      const folderUrl = await create(
         {
           name: 'x',
           type: 'module',
-          main: 'default',
-          files: ['default.js']
+          exports: {
+            '.': './index.js',
+            './bad': './bad.js',
+            './functions': './functions.js',
+            './import': {import: './index.js', require: './index.cjs'},
+            './missing': './missing.js',
+            './other': './other.js',
+            './sync': {'module-sync': './sync.js', default: './index.cjs'},
+            './with-cjs': './lib/b.js'
+          },
+          files: ['*.cjs', '*.js', 'lib/']
         },
-        [['default.js']],
         [
-          {
-            conditions: undefined,
-            exists: true,
-            jsonPath: [],
-            specifier: './default.js',
-            url: 'default.js'
+          ['bad.js', 'export {'],
+          [
+            'functions.js',
+            [
+              'export async function f() { await 1 }',
+              'export const g = async () => { await 1 }',
+              'export const h = async function () { for await (const x of []) {} }',
+              "export const i = import('./index.js')"
+            ].join('\n')
+          ],
+          ['index.cjs'],
+          ['index.js', 'await Promise.resolve()'],
+          ['lib/a.js', 'for await (const x of []) {}'],
+          ['lib/b.js', "import './c.cjs'"],
+          ['lib/c.cjs'],
+          ['other.js', "import './lib/a.js'"],
+          ['sync.js', "import './lib/a.js'\nexport const a = 1"]
+        ]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'exports-require-async'
+          })
+          .map(function (d) {
+            return d.reason
+          }),
+        [
+          "Unexpected top-level await in `./index.js` for specifier `.` at `exports['.']` with `require`, which Node can’t load (`ERR_REQUIRE_ASYNC_MODULE`), remove the top-level await, or use a CJS file for `require`",
+          "Unexpected top-level await in `./lib/a.js`, which `./other.js` imports, for specifier `./other` at `exports['./other']` with `require`, which Node can’t load (`ERR_REQUIRE_ASYNC_MODULE`), remove the top-level await, or use a CJS file for `require`",
+          "Unexpected top-level await in `./lib/a.js`, which `./sync.js` imports, for specifier `./sync` at `exports['./sync']['module-sync']` with `require`, which Node can’t load (`ERR_REQUIRE_ASYNC_MODULE`), remove the top-level await, or use a CJS file for `require`"
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should warn for `module-sync` after `import` and `require`',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            import: './index.js',
+            require: './index.cjs',
+            'module-sync': './index.js'
           },
-          {
-            conditions: undefined,
-            exists: true,
-            jsonPath: [],
-            specifier: './package.json',
-            url: 'package.json'
-          }
-        ],
+          files: ['*.cjs', '*.js']
+        },
+        [['index.cjs'], ['index.js']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
         [
           [
-            'Unexpected `main` field `default` that does not resolve with `type: \'module\'`, use an export map such as `"exports": "./default.js"`',
-            'package-exports:main-resolve-module'
+            'Unexpected separate files `./index.js` with `import` and `./index.cjs` with `require` for specifier `.` at `exports`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share',
+            'exports-dual-package-hazard'
+          ],
+          [
+            'Unexpected unreachable condition `module-sync` at `exports` after `import` and `require`, one of which is always set when `module-sync` is, move `module-sync` before `import`',
+            'exports-conditions-unreachable'
           ]
         ]
       )
+
+      await fs.rm(folderUrl, {recursive: true})
     }
   )
 
-  await t.test('should support `main` (w/o extension, cjs)', async function () {
+  await t.test(
+    'should not warn for conditions after nested conditions that can fail',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': {
+              node: {import: './a.js'},
+              'node-addons': './b.cjs',
+              default: './a.js'
+            },
+            './both': {
+              node: {import: './a.js', require: './b.cjs'},
+              'node-addons': './b.cjs',
+              default: './a.js'
+            },
+            './default': {
+              node: {import: './a.js', default: './b.cjs'},
+              'node-addons': './b.cjs',
+              default: './a.js'
+            }
+          },
+          files: ['*.cjs', '*.js']
+        },
+        [['a.js'], ['b.cjs']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'exports-conditions-unreachable'
+          })
+          .map(function (d) {
+            return d.reason
+          }),
+        [
+          "Unexpected unreachable condition `node-addons` at `exports['./both']` after `node`, which is always set when `node-addons` is, move `node-addons` before `node`",
+          "Unexpected unreachable condition `node-addons` at `exports['./default']` after `node`, which is always set when `node-addons` is, move `node-addons` before `node`"
+        ]
+      )
+      assert.equal(
+        resolveExport(result, '.', ['node', 'node-addons', 'require']).url,
+        new URL('b.cjs', folderUrl).href
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test('should warn for useless `types`', async function () {
     await check(
-      {name: 'x', type: 'commonjs', main: 'default', files: ['default.js']},
-      [['default.js']],
+      {
+        name: 'x',
+        type: 'module',
+        exports: {types: './index.d.mts', default: './index.mjs'},
+        files: ['*.d.mts', '*.mjs']
+      },
+      [['index.d.mts'], ['index.mjs']],
       [
         {
-          conditions: undefined,
+          conditions: ['types'],
           exists: true,
-          jsonPath: ['main'],
+          jsonPath: ['exports', 'types'],
           specifier: '.',
-          url: 'default.js'
+          url: 'index.d.mts'
         },
         {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './default.js',
-          url: 'default.js'
-        },
-        {
-          conditions: undefined,
+          conditions: ['default'],
           exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
+          jsonPath: ['exports', 'default'],
+          specifier: '.',
+          url: 'index.mjs'
         }
       ],
       [
         [
-          "Unexpected `main` field `default` that resolves to `./default.js` in CJS, this works but is slow and doesn’t work with `type: 'module', use the resolved value explicitly",
-          'package-exports:main-resolve-commonjs'
+          'Unexpected verbose `types` condition at `exports` matching what TypeScript would load for `default` without it, remove it',
+          'package-exports:exports-types-verbose'
         ]
       ]
     )
   })
 
-  await t.test('should not missing `main`', async function () {
+  await t.test('should warn for misplaced `types`', async function () {
     await check(
-      {name: 'x', type: 'module', main: 'missing', files: ['default.js']},
-      [['default.js']],
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {import: './a.js', types: './x.d.ts', default: './a.js'},
+          './b': {node: './b.js', default: './b.js', types: './y.d.ts'}
+        },
+        files: ['*.js', '*.ts']
+      },
+      [['a.d.ts'], ['a.js'], ['b.d.ts'], ['b.js'], ['x.d.ts'], ['y.d.ts']],
       [
         {
-          conditions: undefined,
+          conditions: ['import'],
           exists: true,
-          jsonPath: [],
-          specifier: './default.js',
-          url: 'default.js'
+          jsonPath: ['exports', '.', 'import'],
+          specifier: '.',
+          url: 'a.js'
         },
         {
-          conditions: undefined,
+          conditions: ['types'],
           exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
+          jsonPath: ['exports', '.', 'types'],
+          specifier: '.',
+          url: 'x.d.ts'
+        },
+        {
+          conditions: ['default'],
+          exists: true,
+          jsonPath: ['exports', '.', 'default'],
+          specifier: '.',
+          url: 'a.js'
+        },
+        {
+          conditions: ['node'],
+          exists: true,
+          jsonPath: ['exports', './b', 'node'],
+          specifier: './b',
+          url: 'b.js'
+        },
+        {
+          conditions: ['default'],
+          exists: true,
+          jsonPath: ['exports', './b', 'default'],
+          specifier: './b',
+          url: 'b.js'
+        },
+        {
+          conditions: ['types'],
+          exists: true,
+          jsonPath: ['exports', './b', 'types'],
+          specifier: './b',
+          url: 'y.d.ts'
         }
       ],
       [
         [
-          'Unexpected missing file for `main` field `missing`',
-          'package-exports:main-not-found'
+          "Unexpected `types` condition at `exports['.']` after `import`, which TypeScript matches first, move `types` to the start",
+          'package-exports:exports-types-misplaced'
+        ],
+        [
+          "Unexpected non-last `default` conditions at `exports['./b']` ignoring everything after it, move the `default` condition to the end",
+          'package-exports:exports-conditions-default-misplaced'
+        ],
+        [
+          "Unexpected `types` condition at `exports['./b']` after `node` and `default`, which TypeScript matches first, move `types` to the start",
+          'package-exports:exports-types-misplaced'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for missing types', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        types: './missing.d.ts',
+        exports: {
+          '.': {types: './types/index.d.ts', default: './index.js'},
+          './a': './a.js',
+          './b': {import: './b.mjs', require: './b.cjs'},
+          './c': './c.mjs',
+          './data': './data.json',
+          './e': {browser: './e.js'}
+        },
+        files: [
+          'a.js',
+          'b.*',
+          'c.mjs',
+          'data.json',
+          'e.js',
+          'index.js',
+          'types/'
+        ]
+      },
+      [
+        ['a.js'],
+        ['b.cjs'],
+        ['b.d.cts'],
+        ['b.mjs'],
+        ['c.d.mts'],
+        ['c.mjs'],
+        ['data.json'],
+        ['e.js'],
+        ['index.js'],
+        ['types/index.d.ts']
+      ]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          "Unexpected missing types for specifier `./a` at `exports['./a']`, expected `./a.d.ts` next to `./a.js` or a `types` condition",
+          'exports-types-missing'
+        ],
+        [
+          "Unexpected separate files `./b.mjs` with `import` and `./b.cjs` with `require` for specifier `./b` at `exports['./b']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+          'exports-dual-package-hazard'
+        ],
+        [
+          "Unexpected missing types for specifier `./b` at `exports['./b'].import`, expected `./b.d.mts` next to `./b.mjs` or a `types` condition",
+          'exports-types-missing'
+        ],
+        [
+          "Unexpected types file `./c.d.mts` for specifier `./c` at `exports['./c']` which is excluded from the npm package, add it to `files` in `package.json`",
+          'exports-types-missing'
+        ],
+        [
+          "Unexpected conditions without a `default` entry at `exports['./e']` making specifier `./e` unusable by default, expected `'default'` condition as the last field",
+          'exports-conditions-default-missing'
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should warn for unpackaged types', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'commonjs',
+        exports: {'.': './index.js', './a': './a.cjs'}
+      },
+      [['a.cjs'], ['a.d.cts'], ['index.d.ts'], ['index.js']]
+    )
+    await fs.writeFile(new URL('.npmignore', folderUrl), '*.d.cts\n')
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          'Unexpected missing `files` field, expected array of allowed files to include',
+          'files-missing'
+        ],
+        [
+          "Unexpected types file `./a.d.cts` for specifier `./a` at `exports['./a']` which is excluded from the npm package, remove it from `.npmignore`",
+          'exports-types-missing'
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should warn for a missing `types` file', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'commonjs',
+        main: 'index.js',
+        typings: 'index.d.ts',
+        files: ['index.js']
+      },
+      [['index.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.js"`',
+          'main'
+        ],
+        [
+          'Unexpected missing types file `./index.d.ts` for specifier `.` at `typings`',
+          'exports-types-missing'
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should warn for masquerading types', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'commonjs',
+        exports: {
+          '.': {
+            types: './index.d.ts',
+            import: './index.mjs',
+            require: './index.cjs'
+          },
+          './data': {types: './data.d.ts', default: './data.json'},
+          './browser': {types: './browser.d.mts', browser: './browser.mjs'}
+        },
+        files: ['*.cjs', '*.json', '*.mjs', '*.mts', '*.ts']
+      },
+      [
+        ['browser.d.mts'],
+        ['browser.mjs'],
+        ['data.d.ts'],
+        ['data.json'],
+        ['index.cjs'],
+        ['index.d.ts'],
+        ['index.mjs']
+      ]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          "Unexpected separate files `./index.mjs` with `import` and `./index.cjs` with `require` for specifier `.` at `exports['.']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+          'exports-dual-package-hazard'
+        ],
+        [
+          "Unexpected CJS types file `./index.d.ts` for ESM file `./index.mjs` (with `import`) for specifier `.` at `exports['.'].types`, TypeScript would treat the module as CJS, expected a `.d.mts` file",
+          'exports-types-masquerading'
+        ],
+        [
+          "Unexpected conditions without a `default` entry at `exports['./browser']` making specifier `./browser` unusable by default, expected `'default'` condition as the last field",
+          'exports-conditions-default-missing'
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test(
+    'should support nested `package.json` files for masquerading types',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': {
+              types: './types/index.d.ts',
+              import: './esm/index.js',
+              require: './cjs/index.js'
+            },
+            './other': {types: './other.d.cts', default: './lib/other.js'}
+          },
+          files: ['cjs/', 'esm/', 'lib/', 'other.d.cts', 'types/']
+        },
+        [
+          ['cjs/index.js'],
+          ['cjs/package.json', '{"type": "commonjs"}'],
+          ['esm/index.js'],
+          ['esm/package.json', '{"type": "module"}'],
+          ['lib/other.js'],
+          ['lib/package.json', '{'],
+          ['other.d.cts'],
+          ['types/index.d.ts']
+        ]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
+        [
+          [
+            "Unexpected separate files `./esm/index.js` with `import` and `./cjs/index.js` with `require` for specifier `.` at `exports['.']`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share",
+            'exports-dual-package-hazard'
+          ],
+          [
+            "Unexpected ESM types file `./types/index.d.ts` for CJS file `./cjs/index.js` (with `require`) for specifier `.` at `exports['.'].types`, TypeScript would treat the module as ESM, expected a `.d.cts` file",
+            'exports-types-masquerading'
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should warn for masquerading types in `types`',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'commonjs',
+          main: './index.mjs',
+          types: './index.d.ts',
+          files: ['index.d.ts', 'index.mjs']
+        },
+        [['index.d.ts'], ['index.mjs']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
+        [
+          [
+            'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.mjs"`',
+            'main'
+          ],
+          [
+            'Unexpected CJS types file `./index.d.ts` for ESM file `./index.mjs` (with `import`) for specifier `.` at `types`, TypeScript would treat the module as CJS, expected a `.d.mts` file',
+            'exports-types-masquerading'
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test('should warn for invalid `typesVersions`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        typesVersions: {'>=4': [], '*': {a: 'a.d.ts', b: [], c: ['c.d.ts']}},
+        files: ['*.js', '*.ts']
+      },
+      [['c.d.ts'], ['index.d.ts'], ['index.js']]
+    )
+    const otherUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', typesVersions: 1},
+      [['index.js']]
+    )
+
+    const result = await packageExports(folderUrl)
+    const otherResult = await packageExports(otherUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          "Unexpected invalid value `[]` at `typesVersions['>=4']`, expected object mapping paths to arrays of paths",
+          'types-versions-invalid'
+        ],
+        [
+          'Unexpected invalid value `"a.d.ts"` at `typesVersions[\'*\'].a`, expected non-empty array of paths',
+          'types-versions-invalid'
+        ],
+        [
+          "Unexpected invalid value `[]` at `typesVersions['*'].b`, expected non-empty array of paths",
+          'types-versions-invalid'
+        ]
+      ]
+    )
+
+    assert.deepEqual(
+      otherResult.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          'Unexpected missing `files` field, expected array of allowed files to include',
+          'files-missing'
+        ],
+        [
+          'Unexpected invalid value `1` at `typesVersions`, expected object mapping version ranges to paths',
+          'types-versions-invalid'
         ]
       ]
     )
+
+    await fs.rm(folderUrl, {recursive: true})
+    await fs.rm(otherUrl, {recursive: true})
+  })
+
+  await t.test(
+    'should warn for problems in `typesVersions`',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': {types: './types/index.d.ts', default: './index.js'},
+            './a': './a.js',
+            './b': './b.js',
+            './sub/c': './sub/c.js',
+            './d/e': './d/e.js'
+          },
+          typesVersions: {
+            '*': {
+              'sub/*': ['sub/*'],
+              '*': ['types/*'],
+              b: ['missing-b.d.ts', 'b.js'],
+              'd/*': ['nothing/*']
+            }
+          },
+          files: ['*.js', '*.ts', 'd/', 'sub/', 'types/']
+        },
+        [
+          ['a.d.ts'],
+          ['a.js'],
+          ['b.d.ts'],
+          ['b.js'],
+          ['d/e.d.ts'],
+          ['d/e.js'],
+          ['index.js'],
+          ['sub/c.d.ts'],
+          ['sub/c.js'],
+          ['types/a.d.ts'],
+          ['types/index.d.ts']
+        ]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
+        [
+          [
+            "Unexpected declaration file `./types/a.d.ts` for specifier `./a` at `typesVersions['*']['*']`, which differs from `./a.d.ts` for it in `exports`, use the same files",
+            'types-versions-mismatch'
+          ],
+          [
+            "Unexpected missing file for path `missing-b.d.ts` at `typesVersions['*'].b[0]`, expected a declaration file in the npm package",
+            'types-versions-path-not-found'
+          ],
+          [
+            "Unexpected dynamic file glob `nothing/*` at `typesVersions['*']['d/*'][0]` pointing to nothing, expected files",
+            'types-versions-path-not-found'
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should not compare `typesVersions` for versions w/o `exports`',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: './index.js',
+          typesVersions: {
+            '<4.7': {'*': ['ts4.6/*']},
+            'not-a-range': {'*': ['ts4.6/*']},
+            '>=4.6': {'*': ['ts4.6/*']}
+          },
+          files: ['*.js', '*.ts', 'ts4.6/']
+        },
+        [['index.d.ts'], ['index.js'], ['ts4.6/index.d.ts']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return [d.reason, d.ruleId]
+        }),
+        [
+          [
+            "Unexpected declaration file `./ts4.6/index.d.ts` for specifier `.` at `typesVersions['>=4.6']['*']`, which differs from `./index.d.ts` for it in `exports`, use the same files",
+            'types-versions-mismatch'
+          ]
+        ]
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should support `typesVersions` w/o export map',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'commonjs',
+          main: 'index.js',
+          typesVersions: {'*': {'*': ['dist/*']}},
+          files: ['dist/', 'index.js']
+        },
+        [['dist/index.d.ts'], ['index.js']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(
+        result.file.messages.map(function (d) {
+          return d.ruleId
+        }),
+        ['main']
+      )
+
+      await fs.rm(folderUrl, {recursive: true})
+    }
+  )
+
+  await t.test(
+    'should warn if `exports` and `main` are used',
+    async function () {
+      await check(
+        {
+          name: 'x',
+          type: 'module',
+          main: './index.js',
+          exports: './index.js',
+          files: ['index.js']
+        },
+        [['index.js']],
+        [
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: ['exports'],
+            specifier: '.',
+            url: 'index.js'
+          }
+        ],
+        [
+          [
+            'Unexpected unused legacy `main` field with modern `exports`, remove it',
+            'package-exports:main-extra'
+          ]
+        ]
+      )
+    }
+  )
+
+  await t.test(
+    'should warn if `main` is defined but non-string',
+    async function () {
+      await check(
+        {name: 'x', type: 'module', main: 1, files: []},
+        [],
+        [
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: [],
+            specifier: './package.json',
+            url: 'package.json'
+          }
+        ],
+        [
+          [
+            'Unexpected non-string `main` field `1`',
+            'package-exports:main-invalid'
+          ]
+        ]
+      )
+    }
+  )
+
+  await t.test('should support `main` (w/o prefix)', async function () {
+    await check(
+      {name: 'x', type: 'module', main: 'index.js', files: ['index.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['main'],
+          specifier: '.',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './index.js',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.js"`',
+          'package-exports:main'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should support `main` (w/ `./` prefix)', async function () {
+    await check(
+      {name: 'x', type: 'module', main: './index.js', files: ['index.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['main'],
+          specifier: '.',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './index.js',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          'Unexpected legacy `main` field that does not encapsulate the package, it’s recommended to use an export map such as `"exports": "./index.js"`',
+          'package-exports:main'
+        ]
+      ]
+    )
+  })
+
+  await t.test(
+    'should not support `main` (w/o extension, esm)',
+    async function () {
+      await check(
+        {
+          name: 'x',
+          type: 'module',
+          main: 'default',
+          files: ['default.js']
+        },
+        [['default.js']],
+        [
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: [],
+            specifier: './default.js',
+            url: 'default.js'
+          },
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: [],
+            specifier: './package.json',
+            url: 'package.json'
+          }
+        ],
+        [
+          [
+            'Unexpected `main` field `default` that does not resolve with `type: \'module\'`, use an export map such as `"exports": "./default.js"`',
+            'package-exports:main-resolve-module'
+          ]
+        ]
+      )
+    }
+  )
+
+  await t.test('should support `main` (w/o extension, cjs)', async function () {
+    await check(
+      {name: 'x', type: 'commonjs', main: 'default', files: ['default.js']},
+      [['default.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['main'],
+          specifier: '.',
+          url: 'default.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './default.js',
+          url: 'default.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          "Unexpected `main` field `default` that resolves to `./default.js` in CJS, this works but is slow and doesn’t work with `type: 'module', use the resolved value explicitly",
+          'package-exports:main-resolve-commonjs'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should not missing `main`', async function () {
+    await check(
+      {name: 'x', type: 'module', main: 'missing', files: ['default.js']},
+      [['default.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './default.js',
+          url: 'default.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          'Unexpected missing file for `main` field `missing`',
+          'package-exports:main-not-found'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should support missing `main` (`index.js`)', async function () {
+    await check(
+      {name: 'x', type: 'module', files: ['index.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: '.',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './index.js',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          'Unexpected inferred main export `./index.js`, it’s recommended to use an export map such as `"exports": "./index.js"`',
+          'package-exports:main-inferred'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for no main', async function () {
+    await check(
+      {name: 'x', type: 'module', files: ['default.js']},
+      [['default.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './default.js',
+          url: 'default.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: [],
+          specifier: './package.json',
+          url: 'package.json'
+        }
+      ],
+      [
+        [
+          'Unexpected missing main module, it’s recommended to use an export map such as `"exports": "./index.js"`',
+          'package-exports:main-missing'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should support `imports`', async function () {
+    await checkImports(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        imports: {
+          '#a': './a.js',
+          '#b': {node: './b-node.js', default: './b.js'},
+          '#lib/*': './lib/*.js',
+          '#lib/internal': null,
+          '#dep': 'dep',
+          '#fs': 'fs',
+          '#own': 'x/own.js',
+          '#scoped': '@s/p/x.js'
+        },
+        dependencies: {dep: '1'},
+        peerDependencies: {'@s/p': '1'},
+        files: ['lib/', '*.js']
+      },
+      [
+        ['index.js'],
+        ['a.js'],
+        ['b.js'],
+        ['b-node.js'],
+        ['lib/c.js'],
+        ['lib/internal.js']
+      ],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['imports', '#a'],
+          specifier: '#a',
+          url: 'a.js'
+        },
+        {
+          conditions: ['node'],
+          exists: true,
+          jsonPath: ['imports', '#b', 'node'],
+          specifier: '#b',
+          url: 'b-node.js'
+        },
+        {
+          conditions: ['default'],
+          exists: true,
+          jsonPath: ['imports', '#b', 'default'],
+          specifier: '#b',
+          url: 'b.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['imports', '#lib/*'],
+          specifier: '#lib/c',
+          url: 'lib/c.js'
+        }
+      ],
+      []
+    )
+  })
+
+  await t.test('should warn for invalid `imports`', async function () {
+    await checkImports(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        imports: [],
+        files: ['index.js']
+      },
+      [['index.js']],
+      [],
+      [
+        [
+          'Unexpected invalid value `[]` at `imports`, expected specifier object',
+          'package-exports:imports-value-invalid'
+        ]
+      ]
+    )
+  })
+
+  await t.test(
+    'should warn for invalid `imports` specifiers',
+    async function () {
+      await checkImports(
+        {
+          name: 'x',
+          type: 'module',
+          exports: './index.js',
+          imports: {
+            './a': './index.js',
+            b: './index.js',
+            '#': './index.js',
+            '#/c': './index.js',
+            '#d': './index.js'
+          },
+          files: ['index.js']
+        },
+        [['index.js']],
+        [
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: ['imports', '#d'],
+            specifier: '#d',
+            url: 'index.js'
+          }
+        ],
+        [
+          [
+            'Unexpected specifier `./a` at `imports` not starting with `#`, expected `#a`',
+            'package-exports:imports-specifier-unprefixed'
+          ],
+          [
+            'Unexpected specifier `b` at `imports` not starting with `#`, expected `#b`',
+            'package-exports:imports-specifier-unprefixed'
+          ],
+          [
+            'Unexpected specifier `#` at `imports` which is reserved, expected a name after `#`',
+            'package-exports:imports-specifier-invalid'
+          ],
+          [
+            'Unexpected specifier `#/c` at `imports` which is reserved, expected a name after `#`',
+            'package-exports:imports-specifier-invalid'
+          ]
+        ]
+      )
+    }
+  )
+
+  await t.test('should warn for invalid `imports` targets', async function () {
+    await checkImports(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        imports: {
+          '#a': '../a.js',
+          '#b': '/b.js',
+          '#c': './c/../../c.js',
+          '#d': 'node:fs',
+          '#e': 'e',
+          '#f': '@f/g/h.js',
+          '#i': 'i/j.js'
+        },
+        optionalDependencies: {i: '1'},
+        files: ['index.js']
+      },
+      [['index.js']],
+      [],
+      [
+        [
+          "Unexpected path `'../a.js'` at `imports['#a']` which escapes the package, expected a relative path (starting with `./`) inside it, or a package name",
+          'package-exports:imports-path-escaping'
+        ],
+        [
+          "Unexpected path `'/b.js'` at `imports['#b']` which escapes the package, expected a relative path (starting with `./`) inside it, or a package name",
+          'package-exports:imports-path-escaping'
+        ],
+        [
+          "Unexpected path `'./c/../../c.js'` at `imports['#c']` which escapes the package, expected a relative path (starting with `./`) inside it, or a package name",
+          'package-exports:imports-path-escaping'
+        ],
+        [
+          "Unexpected URL `'node:fs'` at `imports['#d']` which is not importable, expected a relative path (starting with `./`) or a package name",
+          'package-exports:imports-path-url'
+        ],
+        [
+          "Unexpected package `e` at `imports['#e']` which is not a dependency, add it to `dependencies` in `package.json`",
+          'package-exports:imports-package-undeclared'
+        ],
+        [
+          "Unexpected package `@f/g` at `imports['#f']` which is not a dependency, add it to `dependencies` in `package.json`",
+          'package-exports:imports-package-undeclared'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for problems in `imports`', async function () {
+    await checkImports(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        imports: {
+          '#a': [],
+          '#b': {},
+          '#c': {'#d': './index.js'},
+          '#e': {'#f': './index.js', node: './index.js'},
+          '#g': {default: './index.js'},
+          '#h': 1,
+          '#i': './missing.js',
+          '#j/*': './missing/*.js',
+          '#k/*/*': './index.js',
+          '#l/*': './index.js',
+          '#m.js': './index.js',
+          '#n': null,
+          '#o': './other.js'
+        },
+        files: ['index.js']
+      },
+      [['index.js'], ['other.js']],
+      [
+        {
+          conditions: ['default'],
+          exists: true,
+          jsonPath: ['imports', '#g', 'default'],
+          specifier: '#g',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: false,
+          jsonPath: ['imports', '#i'],
+          specifier: '#i',
+          url: 'missing.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['imports', '#l/*'],
+          specifier: '#l/*',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['imports', '#m.js'],
+          specifier: '#m.js',
+          url: 'index.js'
+        },
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['imports', '#o'],
+          specifier: '#o',
+          url: 'other.js'
+        }
+      ],
+      [
+        [
+          'Unexpected extension `.js` in specifier `#m.js` at `imports`, extensions have no meaning in specifiers, expected `#m`',
+          'package-exports:imports-specifier-extension'
+        ],
+        [
+          "Unexpected empty array at `imports['#a']` doing nothing, expected a single item",
+          'package-exports:imports-alternatives-empty'
+        ],
+        [
+          "Unexpected empty object at `imports['#b']` doing nothing, expected fields",
+          'package-exports:imports-object-empty'
+        ],
+        [
+          "Unexpected nested specifier `#d` at `imports['#c']`, expected conditions",
+          'package-exports:imports-specifier-nested'
+        ],
+        [
+          "Unexpected mixed specifiers (starting with `#`) and conditions (without `#`) at `imports['#e']`, expected either specifiers or conditions",
+          'package-exports:imports-object-mixed'
+        ],
+        [
+          "Unexpected verbose conditions object with sole key `default` at `imports['#g']`, replace the object with the value at `default`",
+          'package-exports:imports-conditions-verbose'
+        ],
+        [
+          "Unexpected invalid value `1` at `imports['#h']` which is not importable, expected conditions object, `string` (path to file), or `null` (negated)",
+          'package-exports:imports-value-invalid'
+        ],
+        [
+          "Unexpected missing file `./missing.js` for specifier `#i` at `imports['#i']`",
+          'package-exports:imports-path-not-found'
+        ],
+        [
+          "Unexpected dynamic file glob `./missing/*.js` at `imports['#j/*']` pointing to nothing, expected files",
+          'package-exports:imports-path-wildcard-not-found'
+        ],
+        [
+          "Unexpected extra wildcard in dynamic specifier `#k/*/*` at `imports['#k/*/*']`, one wildcard is allowed",
+          'package-exports:imports-specifier-wildcard-invalid'
+        ],
+        [
+          "Unexpected dynamic specifier `#l/*` pointing to static file `./index.js` at `imports['#l/*']`, use dynamic specifiers with dynamic file globs",
+          'package-exports:imports-specifier-wildcard-useless'
+        ],
+        [
+          "Unexpected negation specifier `#n` at `imports['#n']` with nothing to negate",
+          'package-exports:imports-negated-missing'
+        ],
+        [
+          "Unexpected file `./other.js` at `imports['#o']` which is excluded from the npm package, add it to `files` in `package.json`",
+          'package-exports:npm-ignored'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for invalid JSON', async function () {
+    const result = await checkValue(
+      '{\n  "name": "x",\n  "type": "module",\n}\n'
+    )
+
+    assert.deepEqual(
+      {
+        exports: result.exports,
+        messages: result.file.messages.map(function (d) {
+          return d.line + ':' + d.column + ': ' + d.reason
+        }),
+        name: result.name
+      },
+      {
+        exports: [],
+        messages: ['4:1: Unexpected `}` in JSON, expected property name'],
+        name: 'x'
+      }
+    )
+  })
+
+  await t.test('should warn for comments in JSON', async function () {
+    const result = await checkValue('{"name": "x" /* y */, "a": "b"}')
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return d.line + ':' + d.column + ': ' + d.reason
+      }),
+      ['1:14: Unexpected `/* y */` in JSON, expected JSON without comments']
+    )
+  })
+
+  await t.test('should warn for empty JSON', async function () {
+    const result = await checkValue('')
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.line + ':' + d.column + ': ' + d.reason, d.ruleId]
+      }),
+      [
+        [
+          '1:1: Unexpected end of file in JSON, expected value',
+          'package-json-invalid'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for non-object JSON', async function () {
+    const result = await checkValue('[\n  "x"\n]\n')
+
+    assert.deepEqual(
+      {
+        messages: result.file.messages.map(function (d) {
+          return d.line + ':' + d.column + ': ' + d.reason
+        }),
+        name: result.name
+      },
+      {
+        messages: [
+          '1:1: Unexpected non-object value in `package.json`, expected object'
+        ],
+        name: undefined
+      }
+    )
+  })
+
+  await t.test('should warn for duplicate keys', async function () {
+    const result = await checkValue(
+      JSON.stringify({name: 'x', type: 'module'}, undefined, 2).slice(0, -2) +
+        ',\n  "exports": {\n    "import": "./a.js",\n    "default": "./index.js",\n    "import": "./index.js"\n  },\n  "files": ["*.js"],\n  "name": "y"\n}\n'
+    )
+
+    assert.deepEqual(
+      {
+        exports: result.exports.map(function (d) {
+          return [d.conditions, d.jsonPath]
+        }),
+        messages: result.file.messages.map(function (d) {
+          return d.line + ':' + d.column + ': ' + d.reason
+        }),
+        name: result.name
+      },
+      {
+        exports: [
+          [['import'], ['exports', 'import']],
+          [['default'], ['exports', 'default']]
+        ],
+        messages: [
+          '2:3: Unexpected duplicate field `name`, ignored in favor of the last value (at 10:3) which Node uses in the position of the first field, remove duplicates',
+          '5:5: Unexpected duplicate field `exports.import`, ignored in favor of the last value (at 7:5) which Node uses in the position of the first field, remove duplicates'
+        ],
+        name: 'y'
+      }
+    )
+  })
+
+  await t.test(
+    'should warn for duplicate keys in overridden values',
+    async function () {
+      const result = await checkValue(
+        '{\n  "exports": {\n    ".": {"import": "./a.js", "import": "./b.js"},\n    ".": "./index.js"\n  },\n  "files": ["*.js"],\n  "name": "x",\n  "type": "module"\n}\n'
+      )
+
+      assert.deepEqual(
+        result.file.messages
+          .filter(function (d) {
+            return d.ruleId === 'package-json-key-duplicate'
+          })
+          .map(function (d) {
+            return d.line + ':' + d.column + ': ' + d.reason
+          }),
+        [
+          "3:5: Unexpected duplicate field `exports['.']`, ignored in favor of the last value (at 4:5) which Node uses in the position of the first field, remove duplicates",
+          "3:11: Unexpected duplicate field `exports['.'].import`, ignored in favor of the last value (at 3:31) which Node uses in the position of the first field, remove duplicates"
+        ]
+      )
+    }
+  )
+
+  await t.test('should support `options.rules`', async function () {
+    const folderUrl = await create({exports: './index.js', files: ['*.js']}, [
+      ['index.js']
+    ])
+    const result = await packageExports(folderUrl, {
+      rules: {'name-missing': 'error', 'type-missing': 'off'}
+    })
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.ruleId, d.fatal]
+      }),
+      [['name-missing', true]]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should support `warn` in `options.rules`', async function () {
+    const folderUrl = await create({exports: './index.js', files: ['*.js']}, [
+      ['index.js']
+    ])
+    const result = await packageExports(folderUrl, {
+      rules: {'name-missing': 'warn'}
+    })
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.ruleId, d.fatal]
+      }),
+      [
+        ['name-missing', false],
+        ['type-missing', false]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should support `options.fs`', async function () {
+    const folderUrl = new URL('file:///virtual/')
+    /** @type {Map<string, string>} */
+    const files = new Map([
+      ['index.js', ''],
+      [
+        'package.json',
+        JSON.stringify({
+          name: 'x',
+          type: 'module',
+          exports: {'.': './index.js', './missing': './missing.js'}
+        })
+      ]
+    ])
+    const result = await packageExports(folderUrl, {
+      fs: {
+        async access(url) {
+          get(url)
+        },
+        async packagedFiles(folder) {
+          assert.equal(folder.href, folderUrl.href)
+          return [...files.keys()].map(function (d) {
+            return './' + d
+          })
+        },
+        async readFile(url) {
+          return get(url)
+        }
+      }
+    })
+
+    assert.deepEqual(
+      result.exports.map(function (d) {
+        return [d.url, d.exists]
+      }),
+      [
+        ['file:///virtual/index.js', true],
+        ['file:///virtual/missing.js', false]
+      ]
+    )
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return d.ruleId
+      }),
+      ['files-missing', 'exports-path-not-found']
+    )
+
+    /**
+     * @param {URL} url
+     * @returns {string}
+     */
+    function get(url) {
+      const value = files.get(url.href.slice(folderUrl.href.length))
+
+      if (value === undefined) {
+        throw Object.assign(new Error('ENOENT'), {code: 'ENOENT'})
+      }
+
+      return value
+    }
+  })
+
+  await t.test('should support a partial `options.fs`', async function () {
+    const folderUrl = await create({name: 'x', type: 'module'}, [['index.js']])
+    const result = await packageExports(folderUrl, {
+      fs: {
+        async readFile() {
+          return JSON.stringify({name: 'y', type: 'module'})
+        }
+      }
+    })
+
+    assert.equal(result.name, 'y')
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should warn for no `name`', async function () {
+    await check(
+      {type: 'module', exports: './index.js', files: ['*.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['exports'],
+          specifier: '.',
+          url: 'index.js'
+        }
+      ],
+      [
+        [
+          'Unexpected missing `name` field, expected a package name',
+          'package-exports:name-missing'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for no `type`', async function () {
+    await check(
+      {name: 'x', exports: './index.js', files: ['*.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['exports'],
+          specifier: '.',
+          url: 'index.js'
+        }
+      ],
+      [
+        [
+          "Unexpected missing `type` field, expected `type: 'commonjs'` or `'module'`",
+          'package-exports:type-missing'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should warn for invalid `type`', async function () {
+    await check(
+      {name: 'x', type: 'fooscript', exports: './index.js', files: ['*.js']},
+      [['index.js']],
+      [
+        {
+          conditions: undefined,
+          exists: true,
+          jsonPath: ['exports'],
+          specifier: '.',
+          url: 'index.js'
+        }
+      ],
+      [
+        [
+          'Unexpected invalid `type` value `fooscript`, expected `commonjs` or `module`',
+          'package-exports:type-invalid'
+        ]
+      ]
+    )
+  })
+})
+
+test('resolveExport', async function (t) {
+  t.after(clean)
+
+  await t.test('should resolve conditions in order', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          node: {import: './a.js', require: './a.cjs'},
+          default: './b.js'
+        },
+        files: ['*.cjs', '*.js']
+      },
+      [['a.js'], ['a.cjs'], ['b.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', ['node', 'import']), {
+      jsonPath: ['exports', 'node', 'import'],
+      reason: undefined,
+      url: new URL('a.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, '.', ['require', 'node']), {
+      jsonPath: ['exports', 'node', 'require'],
+      reason: undefined,
+      url: new URL('a.cjs', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, '.', ['node']), {
+      jsonPath: ['exports', 'default'],
+      reason: undefined,
+      url: new URL('b.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, '.', []), {
+      jsonPath: ['exports', 'default'],
+      reason: undefined,
+      url: new URL('b.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './b', ['node']), {
+      jsonPath: undefined,
+      reason: 'specifier',
+      url: undefined
+    })
+  })
+
+  await t.test('should fail if no conditions match', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: {import: './a.js'}, files: ['a.js']},
+      [['a.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', ['require']), {
+      jsonPath: undefined,
+      reason: 'conditions',
+      url: undefined
+    })
+  })
+
+  await t.test('should resolve alternatives', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: ['./a.js'], files: ['a.js']},
+      [['a.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', []), {
+      jsonPath: ['exports', 0],
+      reason: undefined,
+      url: new URL('a.js', folderUrl).href
+    })
+  })
+
+  await t.test('should resolve patterns by precedence', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': './index.js',
+          './*': './*.js',
+          './lib/*': './lib/*.js',
+          './lib/*.js': './lib/*.js',
+          './lib/internal/*': null
+        },
+        files: ['lib/', 'a.js', 'index.js']
+      },
+      [['a.js'], ['index.js'], ['lib/b.js'], ['lib/internal/c.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', []), {
+      jsonPath: ['exports', '.'],
+      reason: undefined,
+      url: new URL('index.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './a', []), {
+      jsonPath: ['exports', './*'],
+      reason: undefined,
+      url: new URL('a.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './lib/b', []), {
+      jsonPath: ['exports', './lib/*'],
+      reason: undefined,
+      url: new URL('lib/b.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './lib/b.js', []), {
+      jsonPath: ['exports', './lib/*.js'],
+      reason: undefined,
+      url: new URL('lib/b.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './lib/internal/c', []), {
+      jsonPath: ['exports', './lib/internal/*'],
+      reason: 'negated',
+      url: undefined
+    })
+    assert.deepEqual(resolveExport(result, './lib/missing', []), {
+      jsonPath: undefined,
+      reason: 'specifier',
+      url: undefined
+    })
+    assert.deepEqual(resolveExport(result, './*', []), {
+      jsonPath: undefined,
+      reason: 'specifier',
+      url: undefined
+    })
+  })
+
+  await t.test(
+    'should resolve patterns by precedence (reverse order)',
+    async function () {
+      const folderUrl = await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            './lib/*.js': './lib/*.js',
+            './lib/*': './lib/*.js',
+            './*': './*.js'
+          },
+          files: ['lib/']
+        },
+        [['lib/b.js']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.deepEqual(resolveExport(result, './lib/b.js', []), {
+        jsonPath: ['exports', './lib/*.js'],
+        reason: undefined,
+        url: new URL('lib/b.js', folderUrl).href
+      })
+    }
+  )
+
+  await t.test('should resolve a conditional `null`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': {node: null, default: './a.js'}},
+        files: ['a.js']
+      },
+      [['a.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', ['node']), {
+      jsonPath: ['exports', '.', 'node'],
+      reason: 'negated',
+      url: undefined
+    })
+    assert.deepEqual(resolveExport(result, '.', ['browser']), {
+      jsonPath: ['exports', '.', 'default'],
+      reason: undefined,
+      url: new URL('a.js', folderUrl).href
+    })
+  })
+
+  await t.test('should resolve `main` and files', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'commonjs', main: 'a.js', files: ['*.js']},
+      [['a.js'], ['b.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(resolveExport(result, '.', ['require']), {
+      jsonPath: ['main'],
+      reason: undefined,
+      url: new URL('a.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './b.js', ['require']), {
+      jsonPath: [],
+      reason: undefined,
+      url: new URL('b.js', folderUrl).href
+    })
+    assert.deepEqual(resolveExport(result, './c.js', ['require']), {
+      jsonPath: undefined,
+      reason: 'specifier',
+      url: undefined
+    })
+  })
+})
+
+test('applyFixes', async function (t) {
+  t.after(clean)
+
+  await t.test('should attach fixes to messages', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: 'index.js', files: ['index.js']},
+      [['index.js']]
+    )
+    const result = await packageExports(folderUrl)
+    const messages = /** @type {Array<Message>} */ (result.file.messages)
+
+    assert.deepEqual(
+      messages.map(function (d) {
+        return [d.ruleId, d.fix]
+      }),
+      [
+        ['exports-main-missing', undefined],
+        [
+          'exports-path-unprefixed',
+          [{content: '"./index.js"', length: 10, offset: 50}]
+        ]
+      ]
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should fix `exports-alternatives`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': './index.js', './other': ['./other.js', './index.js']},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': './index.js', './other': './other.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test('should fix `exports-alternatives-empty`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': './index.js', './other': []},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': './index.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test('should not fix `exports: []`', async function () {
+    await checkFix(
+      {name: 'x', type: 'module', exports: [], files: ['*.js']},
+      {name: 'x', type: 'module', exports: [], files: ['*.js']}
+    )
+  })
+
+  await t.test('should fix `exports-object-empty`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'./other': {}, '.': './index.js'},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': './index.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test(
+    'should fix `exports-object-empty` (sole property)',
+    async function () {
+      await checkFix(
+        {name: 'x', type: 'module', exports: {'./a': {}}, files: ['*.js']},
+        {name: 'x', type: 'module', exports: {}, files: ['*.js']}
+      )
+    }
+  )
+
+  await t.test('should fix `exports-conditions-verbose`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {default: {node: './index.js', default: './other.js'}},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {node: './index.js', default: './other.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test(
+    'should fix `exports-conditions-default-misplaced`',
+    async function () {
+      await checkFix(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            default: './index.js',
+            production: './other.js',
+            development: './other.js'
+          },
+          files: ['*.js']
+        },
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            production: './other.js',
+            development: './other.js',
+            default: './index.js'
+          },
+          files: ['*.js']
+        }
+      )
+    }
+  )
+
+  await t.test('should fix `exports-condition-unknown`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {improt: './index.js', default: './index.js'},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {import: './index.js', default: './index.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test(
+    'should fix `exports-conditions-unreachable`',
+    async function () {
+      await checkFix(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': {
+              import: './index.js',
+              require: './other.js',
+              types: './index.d.ts'
+            },
+            './other': {node: './other.js', 'node-addons': './index.js'}
+          },
+          files: ['*.js', '*.ts']
+        },
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': {
+              types: './index.d.ts',
+              import: './index.js',
+              require: './other.js'
+            },
+            './other': {'node-addons': './index.js', node: './other.js'}
+          },
+          files: ['*.js', '*.ts']
+        }
+      )
+    }
+  )
+
+  await t.test('should fix `exports-specifiers-verbose`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': {node: './index.js', default: './other.js'}},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {node: './index.js', default: './other.js'},
+        files: ['*.js']
+      }
+    )
+  })
+
+  await t.test('should fix `exports-types-verbose`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {types: './index.d.ts', default: './index.js'},
+          './other': './other.js'
+        },
+        files: ['*.js', '*.d.ts']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {'.': {default: './index.js'}, './other': './other.js'},
+        files: ['*.js', '*.d.ts']
+      }
+    )
+  })
+
+  await t.test('should fix `exports-types-misplaced`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {
+            node: './index.js',
+            types: './index.d.ts',
+            default: './lib/index.js'
+          },
+          './other': './other.js'
+        },
+        files: ['*.js', '*.d.ts']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {
+            types: './index.d.ts',
+            node: './index.js',
+            default: './lib/index.js'
+          },
+          './other': './other.js'
+        },
+        files: ['*.js', '*.d.ts']
+      }
+    )
+  })
+
+  await t.test('should fix `imports-path-url`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        files: ['*.js'],
+        imports: {'#fs': 'node:fs', '#test': 'node:test'}
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        files: ['*.js'],
+        imports: {'#fs': 'fs', '#test': 'node:test'}
+      }
+    )
+  })
+
+  await t.test('should fix `imports-specifier-unprefixed`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        files: ['*.js'],
+        imports: {
+          './a': './index.js',
+          b: './index.js',
+          '#b': './index.js',
+          '': './index.js',
+          '//c': './index.js'
+        }
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        files: ['*.js'],
+        imports: {
+          '#a': './index.js',
+          b: './index.js',
+          '#b': './index.js',
+          '': './index.js',
+          '//c': './index.js'
+        }
+      }
+    )
+  })
+
+  await t.test('should fix `main`', async function () {
+    await checkFix(
+      {name: 'x', type: 'module', main: 'index.js', files: ['*.js']},
+      {name: 'x', type: 'module', exports: './index.js', files: ['*.js']}
+    )
+  })
+
+  await t.test('should fix `main-extra`', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: './index.js',
+        main: 'index.js',
+        files: ['*.js']
+      },
+      {name: 'x', type: 'module', exports: './index.js', files: ['*.js']}
+    )
+  })
+
+  await t.test('should fix `main-inferred`', async function () {
+    await checkFix(
+      {files: ['*.js'], name: 'x', type: 'module'},
+      {exports: './index.js', files: ['*.js'], name: 'x', type: 'module'}
+    )
+  })
+
+  await t.test('should fix `main-inferred` (after)', async function () {
+    await checkFix(
+      {author: 'x', bugs: 'y'},
+      {author: 'x', bugs: 'y', exports: './index.js'}
+    )
+  })
+
+  await t.test(
+    'should fix `main-inferred` (sole property, after)',
+    async function () {
+      await checkFix({author: 'x'}, {author: 'x', exports: './index.js'})
+    }
+  )
+
+  await t.test(
+    'should fix `main-inferred` (sole property, before)',
+    async function () {
+      await checkFix({name: 'x'}, {exports: './index.js', name: 'x'})
+    }
+  )
+
+  await t.test('should fix `main-inferred` (no properties)', async function () {
+    const folderUrl = await create({}, [['index.js']])
+
+    assert.equal(
+      applyFixes(await packageExports(folderUrl)),
+      '{"exports": "./index.js"}'
+    )
+
+    await fs.rm(folderUrl, {recursive: true})
+  })
+
+  await t.test('should fix `main-resolve-commonjs`', async function () {
+    await checkFix(
+      {name: 'x', type: 'commonjs', main: 'lib', files: ['lib/']},
+      {name: 'x', type: 'commonjs', main: './lib/index.js', files: ['lib/']}
+    )
+  })
+
+  await t.test('should skip overlapping fixes', async function () {
+    await checkFix(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {default: {default: './index.js'}},
+        files: ['*.js']
+      },
+      {
+        name: 'x',
+        type: 'module',
+        exports: {default: './index.js'},
+        files: ['*.js']
+      }
+    )
+  })
+})
+
+test('packageExportsFromTarball', async function (t) {
+  t.after(clean)
+
+  await t.test('should work', async function () {
+    const tarballUrl = await createTarball([
+      {name: 'package/', type: '5'},
+      {
+        data: JSON.stringify({
+          name: 'x',
+          type: 'module',
+          exports: './index.js',
+          files: ['index.js']
+        }),
+        name: 'package/package.json',
+        type: '0'
+      },
+      {name: 'package/index.js'}
+    ])
+    const result = await packageExportsFromTarball(tarballUrl)
+
+    assert.deepEqual(
+      {
+        exports: result.exports,
+        messages: result.file.messages.map(String),
+        name: result.name
+      },
+      {
+        exports: [
+          {
+            conditions: undefined,
+            exists: true,
+            jsonPath: ['exports'],
+            specifier: '.',
+            url: tarballUrl.href + '/index.js'
+          }
+        ],
+        messages: [],
+        name: 'x'
+      }
+    )
+  })
+
+  await t.test('should support long paths', async function () {
+    const long = 'a'.repeat(85)
+    const tarballUrl = await createTarball([
+      {
+        data: JSON.stringify({
+          name: 'x',
+          type: 'module',
+          exports: {'.': './index.js', './*': './lib/*.js'},
+          files: ['index.js', 'lib/']
+        }),
+        name: 'package/package.json'
+      },
+      {name: 'package/index.js'},
+      // Pax.
+      {data: '27 path=package/lib/pax.js\n', name: 'x', type: 'x'},
+      {name: 'ignored.js'},
+      // Pax w/o path.
+      {data: '20 mtime=1234567890\n', name: 'x', type: 'x'},
+      {name: 'package/lib/pax-no-path.js'},
+      // Invalid pax.
+      {data: '0 path=x\n', name: 'x', type: 'x'},
+      {name: 'package/lib/pax-invalid.js'},
+      // Ustar prefix.
+      {name: 'prefix.js', prefix: 'package/lib'},
+      // GNU long name.
+      {data: 'package/lib/gnu.js\0', magic: 'ustar  \0', name: 'x', type: 'L'},
+      {magic: 'ustar  \0', name: 'ignored.js', prefix: 'ignored'},
+      // Name that fills the whole field.
+      {name: 'package/lib/' + long + '.js'}
+    ])
+    const result = await packageExportsFromTarball(tarballUrl)
+
+    assert.deepEqual(
+      result.exports.map(function (d) {
+        return d.specifier
+      }),
+      [
+        '.',
+        './' + long,
+        './gnu',
+        './pax',
+        './pax-invalid',
+        './pax-no-path',
+        './prefix'
+      ]
+    )
+  })
+
+  await t.test('should warn for missing files', async function () {
+    const tarballUrl = await createTarball([
+      {
+        data: JSON.stringify({
+          name: 'x',
+          type: 'module',
+          exports: './index.js',
+          files: ['index.js']
+        }),
+        name: 'package/package.json'
+      }
+    ])
+    const result = await packageExportsFromTarball(tarballUrl)
+
+    assert.deepEqual(
+      result.file.messages.map(function (d) {
+        return [d.reason, d.ruleId]
+      }),
+      [
+        [
+          'Unexpected missing file `./index.js` for specifier `.` at `exports`',
+          'exports-path-not-found'
+        ]
+      ]
+    )
+  })
+
+  await t.test('should fail w/o `package.json`', async function () {
+    const tarballUrl = await createTarball([{name: 'package/index.js'}])
+
+    await assert.rejects(
+      packageExportsFromTarball(tarballUrl),
+      /Unexpected missing `package.json` in tarball/
+    )
+  })
+})
+
+test('compareExports', async function (t) {
+  t.after(clean)
+
+  await t.test('should find no changes', async function () {
+    const before = await packageExports(
+      await create(
+        {name: 'x', type: 'module', exports: './a.js', files: ['*.js']},
+        [['a.js']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {name: 'x', type: 'module', exports: {'.': './a.js'}, files: ['*.js']},
+        [['a.js']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [],
+      releaseType: undefined
+    })
+  })
+
+  await t.test('should find removed specifiers', async function () {
+    const before = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': './a.js',
+            './sub': {node: './b.js', default: './c.js'}
+          },
+          files: ['*.js']
+        },
+        [['a.js'], ['b.js'], ['c.js']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {name: 'x', type: 'module', exports: {'.': './a.js'}, files: ['*.js']},
+        [['a.js']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [
+        {
+          after: undefined,
+          before: './b.js',
+          conditions: undefined,
+          kind: 'specifier-removed',
+          releaseType: 'major',
+          specifier: './sub'
+        }
+      ],
+      releaseType: 'major'
+    })
+  })
+
+  await t.test('should find removed conditions', async function () {
+    const before = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {import: './a.js', require: './a.cjs'},
+          files: ['*.cjs', '*.js']
+        },
+        [['a.js'], ['a.cjs']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {import: './a.js'},
+          files: ['*.js']
+        },
+        [['a.js']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [
+        {
+          after: undefined,
+          before: './a.cjs',
+          conditions: ['require'],
+          kind: 'conditions-removed',
+          releaseType: 'major',
+          specifier: '.'
+        }
+      ],
+      releaseType: 'major'
+    })
+  })
+
+  await t.test('should find negated specifiers', async function () {
+    const before = await packageExports(
+      await create(
+        {name: 'x', type: 'module', exports: {'./*': './*'}, files: ['*.js']},
+        [['a.js'], ['b.js']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {'./*': './*', './b.js': null},
+          files: ['*.js']
+        },
+        [['a.js'], ['b.js']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [
+        {
+          after: undefined,
+          before: './b.js',
+          conditions: undefined,
+          kind: 'specifier-negated',
+          releaseType: 'major',
+          specifier: './b.js'
+        }
+      ],
+      releaseType: 'major'
+    })
+  })
+
+  await t.test(
+    'should find added specifiers and conditions',
+    async function () {
+      const before = await packageExports(
+        await create(
+          {
+            name: 'x',
+            type: 'module',
+            exports: {import: './a.js'},
+            files: ['*.js']
+          },
+          [['a.js']]
+        )
+      )
+      const after = await packageExports(
+        await create(
+          {
+            name: 'x',
+            type: 'module',
+            exports: {
+              '.': {node: './b.js', import: './a.js', require: './a.cjs'},
+              './sub': './c.js'
+            },
+            files: ['*.cjs', '*.js']
+          },
+          [['a.js'], ['a.cjs'], ['b.js'], ['c.js']]
+        )
+      )
+
+      assert.deepEqual(compareExports(before, after), {
+        changes: [
+          {
+            after: './b.js',
+            before: undefined,
+            conditions: ['node'],
+            kind: 'conditions-added',
+            releaseType: 'minor',
+            specifier: '.'
+          },
+          {
+            after: './a.cjs',
+            before: undefined,
+            conditions: ['require'],
+            kind: 'conditions-added',
+            releaseType: 'minor',
+            specifier: '.'
+          },
+          {
+            after: './c.js',
+            before: undefined,
+            conditions: undefined,
+            kind: 'specifier-added',
+            releaseType: 'minor',
+            specifier: './sub'
+          }
+        ],
+        releaseType: 'minor'
+      })
+    }
+  )
+
+  await t.test('should find changed targets', async function () {
+    const before = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {node: './a.js', default: './b.js'},
+          files: ['*.js']
+        },
+        [['a.js'], ['b.js']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {node: './lib/a.js', deno: './lib/b.js', default: './b.js'},
+          files: ['lib/', '*.js']
+        },
+        [['b.js'], ['lib/a.js'], ['lib/b.js']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [
+        {
+          after: './lib/a.js',
+          before: './a.js',
+          conditions: ['node'],
+          kind: 'target-changed',
+          releaseType: 'patch',
+          specifier: '.'
+        },
+        {
+          after: './lib/b.js',
+          before: './b.js',
+          conditions: ['deno'],
+          kind: 'conditions-added',
+          releaseType: 'minor',
+          specifier: '.'
+        }
+      ],
+      releaseType: 'minor'
+    })
+  })
+
+  await t.test('should find changed formats for `require`', async function () {
+    const before = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'commonjs',
+          exports: {
+            '.': './index.js',
+            './cjs': './index.cjs',
+            './sub': {import: './a.mjs', default: './b.cjs'}
+          },
+          files: ['*.cjs', '*.js', '*.mjs']
+        },
+        [['a.mjs'], ['b.cjs'], ['index.cjs'], ['index.js']]
+      )
+    )
+    const after = await packageExports(
+      await create(
+        {
+          name: 'x',
+          type: 'module',
+          exports: {
+            '.': './index.js',
+            './cjs': './index.mjs',
+            './sub': {import: './a.js', default: './c.cjs'}
+          },
+          files: ['*.cjs', '*.js', '*.mjs']
+        },
+        [['a.js'], ['c.cjs'], ['index.js'], ['index.mjs']]
+      )
+    )
+
+    assert.deepEqual(compareExports(before, after), {
+      changes: [
+        {
+          after: './index.js',
+          before: './index.js',
+          conditions: undefined,
+          kind: 'format-changed',
+          releaseType: 'major',
+          specifier: '.'
+        },
+        {
+          after: './index.mjs',
+          before: './index.cjs',
+          conditions: undefined,
+          kind: 'format-changed',
+          releaseType: 'major',
+          specifier: './cjs'
+        },
+        {
+          after: './a.js',
+          before: './a.mjs',
+          conditions: ['import'],
+          kind: 'target-changed',
+          releaseType: 'patch',
+          specifier: './sub'
+        },
+        {
+          after: './c.cjs',
+          before: './b.cjs',
+          conditions: ['default'],
+          kind: 'target-changed',
+          releaseType: 'patch',
+          specifier: './sub'
+        }
+      ],
+      releaseType: 'major'
+    })
+  })
+})
+
+test('exportsMatrix', async function (t) {
+  t.after(clean)
+
+  await t.test('should resolve in common environments', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {
+          '.': {
+            browser: './browser.js',
+            node: {import: './index.js', require: './index.cjs'},
+            default: './index.js'
+          },
+          './server': {node: './server.js'}
+        },
+        files: ['*.cjs', '*.js']
+      },
+      [['browser.js'], ['index.cjs'], ['index.js'], ['server.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      exportsMatrix(result).map(function (row) {
+        return [
+          row.specifier,
+          Object.fromEntries(
+            Object.entries(row.resolutions).map(function ([name, d]) {
+              return [
+                name,
+                d.url ? d.url.slice(folderUrl.href.length) : d.reason
+              ]
+            })
+          )
+        ]
+      }),
+      [
+        [
+          '.',
+          {
+            'node-import': 'index.js',
+            'node-require': 'index.cjs',
+            'browser-bundler': 'browser.js',
+            deno: 'index.js',
+            bun: 'index.js',
+            workerd: 'index.js',
+            'react-native': 'index.js'
+          }
+        ],
+        [
+          './server',
+          {
+            'node-import': 'server.js',
+            'node-require': 'server.js',
+            'browser-bundler': 'conditions',
+            deno: 'conditions',
+            bun: 'conditions',
+            workerd: 'conditions',
+            'react-native': 'conditions'
+          }
+        ]
+      ]
+    )
+  })
+
+  await t.test('should support custom environments', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {electron: './electron.js', default: './index.js'},
+        files: ['*.js']
+      },
+      [['electron.js'], ['index.js']]
+    )
+    const result = await packageExports(folderUrl)
+
+    assert.deepEqual(
+      exportsMatrix(result, {electron: ['electron', 'import']}),
+      [
+        {
+          resolutions: {
+            electron: {
+              jsonPath: ['exports', 'electron'],
+              reason: undefined,
+              url: new URL('electron.js', folderUrl).href
+            }
+          },
+          specifier: '.'
+        }
+      ]
+    )
+  })
+
+  await t.test(
+    'should throw for mutually exclusive conditions',
+    async function () {
+      const folderUrl = await create(
+        {name: 'x', type: 'module', exports: './index.js', files: ['*.js']},
+        [['index.js']]
+      )
+      const result = await packageExports(folderUrl)
+
+      assert.throws(function () {
+        exportsMatrix(result, {x: ['import', 'node', 'require']})
+      }, /Unexpected mutually exclusive conditions `import`, `require` in environment `x`, expected one of them/)
+
+      assert.throws(function () {
+        exportsMatrix(
+          result,
+          {x: ['import', 'team-a', 'team-b']},
+          {
+            'team-a': {exclusive: 'team'},
+            'team-b': {exclusive: 'team'}
+          }
+        )
+      }, /Unexpected mutually exclusive conditions `team-a`, `team-b` in environment `x`, expected one of them/)
+    }
+  )
+})
+
+test('cli', async function (t) {
+  t.after(clean)
+
+  await t.test('should show help', async function () {
+    const result = await cli(['--help'], new URL('.', import.meta.url))
+
+    assert.equal(result.code, 0)
+    assert.match(
+      result.stdout,
+      /^Usage: package-exports \[options] \[folder\.{3}]/
+    )
+    assert.equal(result.stderr, '')
+  })
+
+  await t.test('should show the version', async function () {
+    const result = await cli(['--version'], new URL('.', import.meta.url))
+
+    assert.deepEqual(result, {code: 0, stderr: '', stdout: '1.0.0\n'})
+  })
+
+  await t.test('should check the current folder', async function () {
+    const result = await cli([], new URL('.', import.meta.url))
+
+    assert.deepEqual(result, {
+      code: 0,
+      stderr: 'package.json: no issues found\n',
+      stdout: ''
+    })
+  })
+
+  await t.test('should support `--quiet`', async function () {
+    const result = await cli(['--quiet'], new URL('.', import.meta.url))
+
+    assert.deepEqual(result, {code: 0, stderr: '', stdout: ''})
+  })
+
+  await t.test('should check several folders', async function () {
+    const folderUrl = await create(
+      {name: 'x', exports: './index.js', files: ['index.js']},
+      [['index.js']]
+    )
+    const result = await cli(
+      [fileURLToPath(folderUrl), '.'],
+      new URL('.', import.meta.url)
+    )
+
+    assert.equal(result.code, 0)
+    assert.match(result.stderr, /type-missing/)
+    assert.match(result.stderr, /⚠ 1 warning/)
+  })
+
+  await t.test('should check tarballs', async function () {
+    const tarballUrl = await createTarball([
+      {
+        data: JSON.stringify({name: 'x', exports: './index.js'}),
+        name: 'package/package.json'
+      },
+      {name: 'package/index.js'}
+    ])
+    const result = await cli([fileURLToPath(tarballUrl)], base)
+
+    assert.equal(result.code, 0)
+    assert.match(result.stderr, /\.tgz[/\\]package\.json\n.+type-missing/s)
+  })
+
+  await t.test('should support `--frail`', async function () {
+    const folderUrl = await create(
+      {name: 'x', exports: './index.js', files: ['index.js']},
+      [['index.js']]
+    )
+    const result = await cli(['--frail'], folderUrl)
+
+    assert.equal(result.code, 1)
+    assert.match(result.stderr, /type-missing/)
+  })
+
+  await t.test('should support `--verify`', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', files: ['index.js']},
+      [['index.js', 'export const']]
+    )
+    const result = await cli(['--verify'], folderUrl)
+
+    assert.equal(result.code, 0)
+    assert.match(result.stderr, /SyntaxError: Unexpected end of input/)
+    assert.match(result.stderr, /exports-load-failed/)
+  })
+
+  await t.test('should support `--condition`', async function () {
+    const folderUrl = await create(
+      {
+        name: 'x',
+        type: 'module',
+        exports: {nodes: './index.js', default: './index.js'},
+        files: ['index.js']
+      },
+      [['index.js']]
+    )
+    const result = await cli(['--frail', '--condition', 'nodes'], folderUrl)
+
+    assert.deepEqual(result, {
+      code: 0,
+      stderr: 'package.json: no issues found\n',
+      stdout: ''
+    })
+  })
+
+  await t.test('should fail on `--verify` w/ tarballs', async function () {
+    const result = await cli(['--verify', 'x.tgz'], base)
+
+    assert.deepEqual(result, {
+      code: 1,
+      stderr:
+        'Error: Unexpected `--verify` with tarball `x.tgz`, expected a folder, as Node can’t read files in tarballs\n',
+      stdout: ''
+    })
+  })
+
+  await t.test('should support `--resolve`', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', files: ['index.js']},
+      [['index.js', 'export const']]
+    )
+    const result = await cli(['--resolve'], folderUrl)
+
+    assert.deepEqual(result, {
+      code: 0,
+      stderr: 'package.json: no issues found\n',
+      stdout: ''
+    })
+
+    await fs.rm(folderUrl, {recursive: true})
   })
 
-  await t.test('should support missing `main` (`index.js`)', async function () {
-    await check(
-      {name: 'x', type: 'module', files: ['index.js']},
-      [['index.js']],
-      [
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: '.',
-          url: 'index.js'
-        },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './index.js',
-          url: 'index.js'
-        },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
-        }
-      ],
-      [
-        [
-          'Unexpected inferred main export `./index.js`, it’s recommended to use an export map such as `"exports": "./index.js"`',
-          'package-exports:main-inferred'
-        ]
-      ]
+  await t.test('should fail on `--resolve` w/ tarballs', async function () {
+    const result = await cli(['--resolve', 'x.tgz'], base)
+
+    assert.deepEqual(result, {
+      code: 1,
+      stderr:
+        'Error: Unexpected `--resolve` with tarball `x.tgz`, expected a folder, as Node can’t read files in tarballs\n',
+      stdout: ''
+    })
+  })
+
+  await t.test('should support `--frail` w/o warnings', async function () {
+    const result = await cli(['--frail'], new URL('.', import.meta.url))
+
+    assert.equal(result.code, 0)
+  })
+
+  await t.test('should support `--rule`', async function () {
+    const folderUrl = await create(
+      {name: 'x', exports: './index.js', files: ['index.js']},
+      [['index.js']]
     )
+    const result = await cli(
+      ['--frail', '--rule', 'type-missing=off', '.'],
+      folderUrl
+    )
+
+    assert.deepEqual(result, {
+      code: 0,
+      stderr: 'package.json: no issues found\n',
+      stdout: ''
+    })
   })
 
-  await t.test('should warn for no main', async function () {
-    await check(
-      {name: 'x', type: 'module', files: ['default.js']},
-      [['default.js']],
-      [
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './default.js',
-          url: 'default.js'
-        },
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: [],
-          specifier: './package.json',
-          url: 'package.json'
-        }
-      ],
-      [
-        [
-          'Unexpected missing main module, it’s recommended to use an export map such as `"exports": "./index.js"`',
-          'package-exports:main-missing'
-        ]
-      ]
+  await t.test(
+    'should not fail on `info` rules w/ `--frail`',
+    async function () {
+      const folderUrl = await create(
+        {name: 'x', exports: './index.js', files: ['index.js']},
+        [['index.js']]
+      )
+      const result = await cli(
+        ['--frail', '--rule', 'type-missing=info'],
+        folderUrl
+      )
+
+      assert.equal(result.code, 0)
+      assert.match(result.stderr, /info.+type-missing/)
+    }
+  )
+
+  await t.test('should fail on `error` rules', async function () {
+    const folderUrl = await create(
+      {name: 'x', exports: './index.js', files: ['index.js']},
+      [['index.js']]
     )
+    const result = await cli(['--rule', 'type-missing=error'], folderUrl)
+
+    assert.equal(result.code, 1)
+    assert.match(result.stderr, /error.+type-missing/)
+    assert.match(result.stderr, /✖ 1 error/)
   })
 
-  await t.test('should warn for no `name`', async function () {
-    await check(
-      {type: 'module', exports: './index.js', files: ['*.js']},
-      [['index.js']],
-      [
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: ['exports'],
-          specifier: '.',
-          url: 'index.js'
-        }
-      ],
-      [
-        [
-          'Unexpected missing `name` field, expected a package name',
-          'package-exports:name-missing'
-        ]
-      ]
+  await t.test('should fail on invalid `--rule`', async function () {
+    const result = await cli(
+      ['--rule', 'type-missing'],
+      new URL('.', import.meta.url)
     )
+
+    assert.deepEqual(result, {
+      code: 1,
+      stderr:
+        'Error: Unexpected rule setting `type-missing`, expected `<id>=off`, `<id>=info`, `<id>=warn`, or `<id>=error`\n',
+      stdout: ''
+    })
   })
 
-  await t.test('should warn for no `type`', async function () {
-    await check(
-      {name: 'x', exports: './index.js', files: ['*.js']},
-      [['index.js']],
-      [
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: ['exports'],
-          specifier: '.',
-          url: 'index.js'
-        }
-      ],
-      [
-        [
-          "Unexpected missing `type` field, expected `type: 'commonjs'` or `'module'`",
-          'package-exports:type-missing'
-        ]
-      ]
+  await t.test('should fail on unknown rules in `--rule`', async function () {
+    const result = await cli(
+      ['--rule', 'exprots-missing=off'],
+      new URL('.', import.meta.url)
     )
+
+    assert.deepEqual(result, {
+      code: 1,
+      stderr:
+        'Error: Unexpected unknown rule `exprots-missing` in rule setting `exprots-missing=off`, expected a rule ID such as `type-missing`\n',
+      stdout: ''
+    })
   })
 
-  await t.test('should warn for invalid `type`', async function () {
-    await check(
-      {name: 'x', type: 'fooscript', exports: './index.js', files: ['*.js']},
-      [['index.js']],
-      [
-        {
-          conditions: undefined,
-          exists: true,
-          jsonPath: ['exports'],
-          specifier: '.',
-          url: 'index.js'
-        }
-      ],
-      [
-        [
-          'Unexpected invalid `type` value `fooscript`, expected `commonjs` or `module`',
-          'package-exports:type-invalid'
-        ]
-      ]
+  await t.test('should fail on unknown options', async function () {
+    const result = await cli(['--unknown'], new URL('.', import.meta.url))
+
+    assert.equal(result.code, 1)
+    assert.match(result.stderr, /Unknown option '--unknown'/)
+  })
+
+  await t.test('should support `--json`', async function () {
+    const folderUrl = await create(
+      {name: 'x', type: 'module', exports: './index.js', files: ['index.js']},
+      [['index.js']]
     )
+    const result = await cli(['--json'], folderUrl)
+
+    assert.equal(result.code, 0)
+    assert.deepEqual(JSON.parse(result.stdout), [
+      {
+        exports: [
+          {
+            exists: true,
+            jsonPath: ['exports'],
+            specifier: '.',
+            url: new URL('index.js', folderUrl).href
+          }
+        ],
+        name: 'x'
+      }
+    ])
   })
 })
 
@@ -1537,7 +4966,12 @@ test('node docs', async function (t) {
           url: 'index-require.cjs'
         }
       ],
-      []
+      [
+        [
+          'Unexpected separate files `./index-module.js` with `import` and `./index-require.cjs` with `require` for specifier `.` at `exports`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share',
+          'package-exports:exports-dual-package-hazard'
+        ]
+      ]
     )
   })
 
@@ -1630,6 +5064,10 @@ test('node docs', async function (t) {
         [
           "Unexpected missing `type` field, expected `type: 'commonjs'` or `'module'`",
           'package-exports:type-missing'
+        ],
+        [
+          'Unexpected separate files `./feature-node.mjs` with `import` and `./feature-node.cjs` with `require` for specifier `.` at `exports`, which share no modules, so Node can load the package twice and duplicate its state (the dual package hazard), consider a wrapper that imports one from the other, or moving state into a module they share',
+          'package-exports:exports-dual-package-hazard'
         ]
       ]
     )
@@ -1643,7 +5081,13 @@ test('node docs', async function (t) {
         exports: {import: './wrapper.mjs', require: './index.cjs'},
         files: '*.js'
       },
-      [['wrapper.mjs'], ['index.cjs']],
+      [
+        [
+          'wrapper.mjs',
+          "import cjs from './index.cjs'\nexport const name = cjs.name"
+        ],
+        ['index.cjs']
+      ],
       [
         {
           conditions: ['import'],
@@ -1678,33 +5122,49 @@ test('node docs', async function (t) {
  * @returns {Promise<undefined>}
  */
 async function check(packageValue, files, foundExports, foundMessages) {
-  const folderUrl = new URL(temporary() + '/', base)
-  const packageUrl = new URL('package.json', folderUrl)
-
-  await fs.mkdir(folderUrl)
-  await fs.writeFile(packageUrl, JSON.stringify(packageValue, undefined, 2))
+  const folderUrl = await create(packageValue, files)
+  const result = await packageExports(folderUrl)
 
-  await Promise.all(
-    files.map(async function ([file, value]) {
-      const fileUrl = new URL(file, folderUrl)
-      const parentUrl = new URL('.', fileUrl)
-      await fs.mkdir(parentUrl, {recursive: true})
-      return fs.writeFile(fileUrl, value || '')
-    })
+  assert.deepEqual(
+    {
+      exports: result.exports,
+      messages: result.file.messages.map((d) => [
+        d.reason,
+        d.source + ':' + d.ruleId
+      ])
+    },
+    {
+      exports: foundExports.map(function (d) {
+        return {...d, url: new URL(d.url, folderUrl).href}
+      }),
+      messages: foundMessages
+    }
   )
 
+  await fs.rm(folderUrl, {recursive: true})
+}
+
+/**
+ * @param {Record<string, unknown>} packageValue
+ * @param {ReadonlyArray<[url: string, value?: string | undefined]>} files
+ * @param {ReadonlyArray<SimpleExport>} foundImports
+ * @param {ReadonlyArray<[origin: string, reason: string]>} foundMessages
+ * @returns {Promise<undefined>}
+ */
+async function checkImports(packageValue, files, foundImports, foundMessages) {
+  const folderUrl = await create(packageValue, files)
   const result = await packageExports(folderUrl)
 
   assert.deepEqual(
     {
-      exports: result.exports,
+      imports: result.imports,
       messages: result.file.messages.map((d) => [
         d.reason,
         d.source + ':' + d.ruleId
       ])
     },
     {
-      exports: foundExports.map(function (d) {
+      imports: foundImports.map(function (d) {
         return {...d, url: new URL(d.url, folderUrl).href}
       }),
       messages: foundMessages
@@ -1714,6 +5174,115 @@ async function check(packageValue, files, foundExports, foundMessages) {
   await fs.rm(folderUrl, {recursive: true})
 }
 
+/**
+ * @param {string} value
+ * @returns {Promise<Result>}
+ */
+async function checkValue(value) {
+  const folderUrl = await create({}, [['index.js']])
+  await fs.writeFile(new URL('package.json', folderUrl), value)
+  const result = await packageExports(folderUrl)
+  await fs.rm(folderUrl, {recursive: true})
+  return result
+}
+
+/**
+ * @param {Record<string, unknown>} packageValue
+ * @param {Record<string, unknown>} expected
+ * @returns {Promise<undefined>}
+ */
+async function checkFix(packageValue, expected) {
+  const folderUrl = await create(packageValue, [
+    ['index.d.ts'],
+    ['index.js'],
+    ['lib/index.js'],
+    ['other.js']
+  ])
+
+  assert.equal(
+    applyFixes(await packageExports(folderUrl)),
+    JSON.stringify(expected, undefined, 2)
+  )
+
+  await fs.rm(folderUrl, {recursive: true})
+}
+
+/**
+ * @param {Record<string, unknown>} packageValue
+ * @param {ReadonlyArray<[url: string, value?: string | undefined]>} files
+ * @returns {Promise<URL>}
+ */
+async function create(packageValue, files) {
+  const folderUrl = new URL(temporary() + '/', base)
+  const packageUrl = new URL('package.json', folderUrl)
+
+  await fs.mkdir(folderUrl)
+  await fs.writeFile(packageUrl, JSON.stringify(packageValue, undefined, 2))
+
+  await Promise.all(
+    files.map(async function ([file, value]) {
+      const fileUrl = new URL(file, folderUrl)
+      const parentUrl = new URL('.', fileUrl)
+      await fs.mkdir(parentUrl, {recursive: true})
+      return fs.writeFile(fileUrl, value || '')
+    })
+  )
+
+  return folderUrl
+}
+
+/**
+ * @param {ReadonlyArray<TarEntry>} entries
+ * @returns {Promise<URL>}
+ */
+async function createTarball(entries) {
+  /** @type {Array<Buffer>} */
+  const chunks = []
+
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data || '')
+    const header = Buffer.alloc(512)
+    header.write(entry.name, 0, 100)
+    header.write(data.length.toString(8).padStart(11, '0'), 124)
+    if (entry.type) header.write(entry.type, 156)
+    header.write(entry.magic || 'ustar\u000000', 257)
+    if (entry.prefix) header.write(entry.prefix, 345)
+    chunks.push(
+      header,
+      data,
+      Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)
+    )
+  }
+
+  chunks.push(Buffer.alloc(1024))
+
+  const tarballUrl = new URL(temporary() + '.tgz', base)
+  await fs.writeFile(tarballUrl, gzipSync(Buffer.concat(chunks)))
+  return tarballUrl
+}
+
+/**
+ * @param {ReadonlyArray<string>} arguments_
+ * @param {URL} cwd
+ * @returns {Promise<{code: number, stderr: string, stdout: string}>}
+ */
+async function cli(arguments_, cwd) {
+  try {
+    const result = await execFile(process.execPath, [cliPath, ...arguments_], {
+      cwd
+    })
+    return {code: 0, stderr: result.stderr, stdout: result.stdout}
+  } catch (error) {
+    const exception =
+      /** @type {{code: number, stderr: string, stdout: string}} */ (error)
+    return {
+      code: exception.code,
+      stderr: exception.stderr,
+      stdout: exception.stdout
+    }
+  }
+}
+
 /**
  * @returns {Promise<undefined>}
  */